@@ -0,0 +1,102 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+
+const prisma = new PrismaClient();
+
+// Initial catalog: the loan types, limits and documents that used to be hard-coded
+const LOAN_PRODUCTS = [
+  {
+    code: 'PERSONAL',
+    name: 'Personal Loan',
+    minAmount: 1000,
+    maxAmount: 5000000,
+    minTenureMonths: 6,
+    maxTenureMonths: 60,
+    defaultTenureMonths: 24,
+    interestRate: 14,
+    eligibleRoles: ['CUSTOMER', 'MERCHANT'],
+    requiredDocuments: [],
+  },
+  {
+    code: 'BUSINESS',
+    name: 'Business Loan',
+    minAmount: 1000,
+    maxAmount: 5000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 84,
+    defaultTenureMonths: 36,
+    interestRate: 16,
+    eligibleRoles: ['CUSTOMER', 'MERCHANT'],
+    requiredDocuments: ['BANK_STATEMENT'],
+  },
+  {
+    code: 'VEHICLE',
+    name: 'Vehicle Loan',
+    minAmount: 1000,
+    maxAmount: 5000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 84,
+    defaultTenureMonths: 60,
+    interestRate: 10.5,
+    eligibleRoles: ['CUSTOMER', 'MERCHANT'],
+    requiredDocuments: ['ADDRESS_PROOF'],
+  },
+  {
+    code: 'EQUIPMENT',
+    name: 'Equipment Loan',
+    minAmount: 1000,
+    maxAmount: 5000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 60,
+    defaultTenureMonths: 36,
+    interestRate: 12,
+    eligibleRoles: ['CUSTOMER', 'MERCHANT'],
+    requiredDocuments: ['BANK_STATEMENT'],
+  },
+];
+
+// Bootstrap admin: public signup can't create staff accounts, so the first
+// admin comes from SEED_ADMIN_EMAIL / SEED_ADMIN_PHONE / SEED_ADMIN_PASSWORD
+const seedAdmin = async () => {
+  const { SEED_ADMIN_EMAIL, SEED_ADMIN_PHONE, SEED_ADMIN_PASSWORD } = process.env;
+  if (!SEED_ADMIN_EMAIL || !SEED_ADMIN_PHONE || !SEED_ADMIN_PASSWORD) {
+    console.log('ℹ️  SEED_ADMIN_* not set, skipping admin account');
+    return;
+  }
+
+  await prisma.user.upsert({
+    where: { email: SEED_ADMIN_EMAIL },
+    create: {
+      name: process.env.SEED_ADMIN_NAME || 'Administrator',
+      email: SEED_ADMIN_EMAIL,
+      phone: SEED_ADMIN_PHONE,
+      passwordHash: await bcrypt.hash(SEED_ADMIN_PASSWORD, 12),
+      role: 'ADMIN',
+    },
+    update: {},
+  });
+
+  console.log(`🌱 Seeded admin account ${SEED_ADMIN_EMAIL}`);
+};
+
+const main = async () => {
+  for (const product of LOAN_PRODUCTS) {
+    await prisma.loanProduct.upsert({
+      where: { code: product.code },
+      create: product,
+      update: {},
+    });
+  }
+
+  console.log(`🌱 Seeded ${LOAN_PRODUCTS.length} loan products`);
+
+  await seedAdmin();
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Seed failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,166 @@
+const userService = require('../services/userService');
+const loginProtectionService = require('../services/loginProtectionService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class AdminController {
+  /**
+   * GET /api/v1/admin/users
+   * Search users by name, email or phone, filter by role and status
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const filters = validate(validationSchemas.adminUserQuery, req.query);
+
+      const { users, pageInfo, total } = await userService.listUsers(filters);
+
+      const response = {
+        success: true,
+        message: `Found ${total} user(s)`,
+        data: {
+          users,
+          pageInfo,
+          total,
+          filters,
+        },
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/admin/users/:id
+   * Get a single user
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await userService.getUserForAdmin(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User retrieved',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/users
+   * Create an account of any role (the only way to create bankers and admins)
+   */
+  static async createUser(req, res, next) {
+    try {
+      const userData = validate(validationSchemas.adminUserCreate, req.body);
+
+      const user = await userService.createUserByAdmin(userData, req.user.userId);
+
+      logger.info('User Created by Admin', {
+        userId: user.id,
+        role: user.role,
+        adminId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${user.role} account created`,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/users/:id/suspend
+   * Suspend an account and revoke its sessions
+   */
+  static async suspendUser(req, res, next) {
+    try {
+      const { reason } = validate(validationSchemas.adminSuspend, req.body || {});
+
+      const user = await userService.suspendUser(req.params.id, reason, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'User suspended',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/users/:id/reactivate
+   * Lift a suspension
+   */
+  static async reactivateUser(req, res, next) {
+    try {
+      const user = await userService.reactivateUser(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'User reactivated',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/users/:id/unlock
+   * Clear a failed-login lockout
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      const result = await loginProtectionService.unlockUser(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.wasLocked ? 'Account unlocked' : 'Account was not locked; failed attempts cleared',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/admin/users/:id/role
+   * Change role (and supervisor flag for bankers)
+   */
+  static async changeRole(req, res, next) {
+    try {
+      const changes = validate(validationSchemas.adminRoleChange, req.body);
+
+      const user = await userService.changeRole(req.params.id, changes, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: `Role set to ${user.role}`,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+const adminOnly = [authMiddleware.authenticate, authMiddleware.requireAdmin()];
+
+module.exports = {
+  listUsers: [...adminOnly, AdminController.listUsers],
+  getUser: [...adminOnly, AdminController.getUser],
+  createUser: [...adminOnly, AdminController.createUser],
+  suspendUser: [...adminOnly, AdminController.suspendUser],
+  reactivateUser: [...adminOnly, AdminController.reactivateUser],
+  unlockUser: [...adminOnly, AdminController.unlockUser],
+  changeRole: [...adminOnly, AdminController.changeRole],
+};
@@ -0,0 +1,47 @@
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class AuditController {
+  /**
+   * GET /api/v1/audit
+   * Query the audit trail by entity, actor, action and date range (Banker or Admin)
+   */
+  static async list(req, res, next) {
+    try {
+      const filters = validate(validationSchemas.auditQuery, req.query);
+
+      const { entries, total } = await auditService.getAuditLogs(filters);
+
+      const response = {
+        success: true,
+        message: `Found ${total} audit entr${total === 1 ? 'y' : 'ies'}`,
+        data: {
+          entries,
+          filters,
+          total,
+          hasMore: filters.offset + entries.length < total,
+        },
+      };
+
+      logger.info('Audit Trail Queried', {
+        bankerId: req.user.userId,
+        count: entries.length,
+        total
+      });
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  list: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['BANKER', 'ADMIN']),
+    AuditController.list
+  ],
+};
@@ -1,5 +1,9 @@
 const userService = require('../services/userService');
-const jwtUtil = require('../utils/jwt');
+const tokenService = require('../services/tokenService');
+const passwordResetService = require('../services/passwordResetService');
+const otpService = require('../services/otpService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { validationSchemas, validate } = require('../utils/validation');
 const { logger } = require('../middleware/logger');
 
@@ -24,8 +28,14 @@ class AuthController {
       // Create user
       const user = await userService.createUser(userData);
 
-      // Generate JWT token
-      const token = jwtUtil.generateAccessToken(user);
+      // Prove ownership of the email and phone before loans can be applied for
+      const codesSentTo = await otpService.sendInitialOtps(user.id);
+
+      // Start session and issue token pair
+      const tokens = await tokenService.issueTokens(user, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip,
+      });
 
       // Response (don't return password)
       const response = {
@@ -40,7 +50,14 @@ class AuthController {
             role: user.role,
             createdAt: user.createdAt,
           },
-          token,
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken.token,
+          refreshTokenExpiresAt: tokens.refreshToken.expiresAt,
+          verification: {
+            isEmailVerified: false,
+            isPhoneVerified: false,
+            codesSentTo,
+          },
         },
       };
 
@@ -65,6 +82,10 @@ class AuthController {
       // Validate input
       const loginData = validate(validationSchemas.login, req.body);
 
+      // Brute-force protection: lockout check, then a delay that grows per failure
+      await loginProtectionService.assertNotLocked(loginData.email, req.ip);
+      await loginProtectionService.applyDelay(loginData.email, req.ip);
+
       // Validate credentials
       const user = await userService.validatePassword(
         loginData.email,
@@ -72,13 +93,47 @@ class AuthController {
       );
 
       if (!user) {
+        await loginProtectionService.recordFailure(loginData.email, req.ip);
         const error = new Error('Invalid email or password');
         error.status = 401;
         return next(error);
       }
 
-      // Generate JWT token
-      const token = jwtUtil.generateAccessToken(user);
+      await loginProtectionService.recordSuccess(loginData.email);
+
+      if (user.status === 'SUSPENDED') {
+        const error = new Error('Account is suspended');
+        error.status = 403;
+        return next(error);
+      }
+
+      const meta = {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip,
+      };
+
+      // Second factor: no session until the challenge is completed
+      const challenge = await twoFactorService.startLoginChallenge(user, meta);
+      if (challenge) {
+        logger.info('Login Awaiting Second Factor', {
+          userId: user.id,
+          enrollmentRequired: challenge.enrollmentRequired
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: challenge.enrollmentRequired
+            ? 'Two-factor authentication must be set up to continue'
+            : 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            ...challenge,
+          },
+        });
+      }
+
+      // Start session and issue token pair
+      const tokens = await tokenService.issueTokens(user, meta);
 
       // Response
       const response = {
@@ -90,8 +145,12 @@ class AuthController {
             name: user.name,
             email: user.email,
             role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            isPhoneVerified: user.isPhoneVerified,
           },
-          token,
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken.token,
+          refreshTokenExpiresAt: tokens.refreshToken.expiresAt,
         },
       };
 
@@ -102,6 +161,284 @@ class AuthController {
       });
 
       res.status(200).json(response);
+    } catch (error) {
+      if (error.status === 429 && error.data?.retryAfterSeconds) {
+        res.set('Retry-After', String(error.data.retryAfterSeconds));
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/login/2fa
+   * Exchange a login challenge and a TOTP or backup code for tokens
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code, backupCode } = validate(validationSchemas.loginTwoFactor, req.body);
+
+      const { user, backupCodes } = await twoFactorService.completeLoginChallenge(
+        challengeToken,
+        { code, backupCode }
+      );
+
+      const tokens = await tokenService.issueTokens(user, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip,
+      });
+
+      const response = {
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+          },
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken.token,
+          refreshTokenExpiresAt: tokens.refreshToken.expiresAt,
+        },
+      };
+
+      // First login after forced enrollment: codes are shown only once
+      if (backupCodes) {
+        response.data.backupCodes = backupCodes;
+      }
+
+      logger.info('Login Successful', {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        secondFactor: backupCode ? 'BACKUP_CODE' : 'TOTP'
+      });
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/login/2fa/setup
+   * Get a TOTP secret during login when the role requires 2FA
+   */
+  async loginTwoFactorSetup(req, res, next) {
+    try {
+      const { challengeToken } = validate(validationSchemas.loginTwoFactorSetup, req.body);
+
+      const enrollment = await twoFactorService.beginChallengeEnrollment(challengeToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Add this account to your authenticator app, then log in with a code',
+        data: enrollment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/2fa/setup
+   * Start TOTP enrollment (returns secret and otpauth URI)
+   */
+  async twoFactorSetup(req, res, next) {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Add this account to your authenticator app, then confirm with a code',
+        data: enrollment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/2fa/enable
+   * Confirm enrollment with a TOTP code; returns backup codes once
+   */
+  async twoFactorEnable(req, res, next) {
+    try {
+      const { code } = validate(validationSchemas.twoFactorCode, req.body);
+
+      const { backupCodes } = await twoFactorService.confirmEnrollment(req.user.userId, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your backup codes safely',
+        data: { backupCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/2fa/disable
+   * Turn 2FA off (not allowed for roles where it is mandatory)
+   */
+  async twoFactorDisable(req, res, next) {
+    try {
+      const { password } = validate(validationSchemas.twoFactorDisable, req.body);
+
+      await twoFactorService.disable(req.user.userId, password);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/2fa/backup-codes
+   * Replace backup codes (TOTP code required)
+   */
+  async twoFactorBackupCodes(req, res, next) {
+    try {
+      const { code } = validate(validationSchemas.twoFactorCode, req.body);
+
+      const { backupCodes } = await twoFactorService.regenerateBackupCodes(req.user.userId, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'New backup codes generated. Previous codes no longer work',
+        data: { backupCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/refresh
+   * Rotate refresh token and issue a new access token
+   */
+  async refresh(req, res, next) {
+    try {
+      const { refreshToken } = validate(validationSchemas.refreshToken, req.body);
+
+      const tokens = await tokenService.rotateRefreshToken(refreshToken);
+
+      const response = {
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken.token,
+          refreshTokenExpiresAt: tokens.refreshToken.expiresAt,
+        },
+      };
+
+      logger.info('Token Refreshed', { sessionId: tokens.sessionId });
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/logout
+   * Revoke the session behind a refresh token
+   */
+  async logout(req, res, next) {
+    try {
+      const { refreshToken } = validate(validationSchemas.refreshToken, req.body);
+
+      const sessionId = await tokenService.revokeByRefreshToken(refreshToken);
+
+      logger.info('Logout Successful', { sessionId });
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged out successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/otp/send
+   * Send a verification code to the user's email or phone
+   */
+  async sendOtp(req, res, next) {
+    try {
+      const { channel } = validate(validationSchemas.otpSend, req.body);
+
+      const result = await otpService.sendOtp(req.user.userId, channel);
+
+      res.status(200).json({
+        success: true,
+        message: `Verification code sent to your ${channel === 'EMAIL' ? 'email' : 'phone'}`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/otp/verify
+   * Confirm a verification code
+   */
+  async verifyOtp(req, res, next) {
+    try {
+      const { channel, code } = validate(validationSchemas.otpVerify, req.body);
+
+      const result = await otpService.verifyOtp(req.user.userId, channel, code);
+
+      res.status(200).json({
+        success: true,
+        message: `${channel === 'EMAIL' ? 'Email' : 'Phone number'} verified`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/forgot-password
+   * Send a reset link. The response never reveals whether the account exists.
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = validate(validationSchemas.forgotPassword, req.body);
+
+      await passwordResetService.requestReset(email, req.ip);
+
+      res.status(202).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/reset-password
+   * Set a new password with a reset token (signs out every session)
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = validate(validationSchemas.resetPassword, req.body);
+
+      await passwordResetService.resetPassword(token, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password',
+      });
     } catch (error) {
       next(error);
     }
@@ -7,7 +7,7 @@ const { logger } = require('../middleware/logger');
 class KYCController {
   /**
    * POST /api/v1/kyc/upload-url
-   * Generate Cloudinary signature for document upload
+   * Generate a signed upload URL for the configured document storage
    */
   static async generateUploadUrl(req, res, next) {
     try {
@@ -43,7 +43,7 @@ class KYCController {
 
   /**
    * POST /api/v1/kyc/complete-upload
-   * Complete KYC upload (update metadata after Cloudinary upload)
+   * Complete KYC upload once the file is in storage (verified server-side)
    */
   static async completeUpload(req, res, next) {
     try {
@@ -57,7 +57,8 @@ class KYCController {
       const { kycDocId, publicId, fileSize, contentType } = validateKYC(validationSchemas.kycCompleteUpload, req.body);
 
       const kycDoc = await kycService.completeUpload(
-        kycDocId, 
+        kycDocId,
+        req.user.userId,
         publicId, 
         fileSize, 
         contentType
@@ -91,22 +92,22 @@ class KYCController {
 
   /**
  * GET /api/v1/kyc/status
- * Get user's KYC document status
+ * Get user's KYC document status (latest version of each document type)
  */
 static async getStatus(req, res, next) {
   try {
     const { status } = req.query; // Optional filter: PENDING, VERIFIED, REJECTED
 
-    const documents = await kycService.getUserKYCDocuments(
-      req.user.userId, 
-      status
-    );
+    const latestDocuments = await kycService.getUserKYCDocuments(req.user.userId);
+    const documents = status
+      ? latestDocuments.filter(doc => doc.status === status)
+      : latestDocuments;
 
     // Get required documents for this user
-    const requiredDocs = kycService.getRequiredDocuments(req.user.role);
+    const requiredDocs = await kycService.getRequiredDocuments(req.user.role);
 
-    // Check completion status
-    const completionStatus = KYCController.calculateKYCCompletion(documents, requiredDocs); // Use class name
+    // Completion always reflects every document type, whatever the filter
+    const completionStatus = kycService.calculateKYCCompletion(latestDocuments, requiredDocs);
 
     const response = {
       success: true,
@@ -145,13 +146,14 @@ static async getStatus(req, res, next) {
       }
 
       const { kycDocId } = req.params;
-      const { status, notes } = validateKYC(validationSchemas.kycVerify, req.body);
+      const { status, notes, reasonCode } = validateKYC(validationSchemas.kycVerify, req.body);
 
       const result = await kycService.verifyKYCDocument(
         kycDocId, 
         status, 
         req.user.userId, 
-        notes
+        notes,
+        reasonCode
       );
 
       const response = {
@@ -161,6 +163,8 @@ static async getStatus(req, res, next) {
           kycDocId,
           newStatus: status,
           action: result.action,
+          version: result.kycDoc.version,
+          rejection: result.rejection,
           notes: notes || null,
           timestamp: new Date(),
         },
@@ -191,25 +195,27 @@ static async getStatus(req, res, next) {
         return next(error);
       }
 
-      const { limit = 20 } = req.query;
-      const documents = await kycService.getPendingKYCForReview(
+      const filters = validateKYC(validationSchemas.kycPendingQuery, req.query);
+      const { documents, pageInfo, total } = await kycService.getPendingKYCForReview(
         req.user.userId, 
-        parseInt(limit)
+        filters
       );
 
       const response = {
         success: true,
-        message: `Found ${documents.length} pending KYC document(s)`,
+        message: `Found ${total} pending KYC document(s)`,
         data: {
           documents,
-          totalPending: documents.length,
-          filters: { limit: parseInt(limit) },
+          totalPending: total,
+          pageInfo,
+          filters,
         },
       };
 
       logger.info('Pending KYC Retrieved for Review', { 
         bankerId: req.user.userId, 
-        count: documents.length 
+        count: documents.length,
+        total
       });
 
       res.status(200).json(response);
@@ -251,6 +257,50 @@ static async getStatus(req, res, next) {
     }
   }
 
+  /**
+   * GET /api/v1/kyc/types/:docType/versions
+   * Version history of one of your documents, newest first
+   */
+  static async getHistory(req, res, next) {
+    try {
+      const { docType } = validateKYC(validationSchemas.kycUploadUrl, { docType: req.params.docType });
+
+      const versions = await kycService.getDocumentHistory(req.user.userId, docType);
+
+      res.status(200).json({
+        success: true,
+        message: `${versions.length} version(s) of ${kycService.getDocTypeName(docType)}`,
+        data: {
+          docType,
+          currentVersion: versions.find(version => version.isCurrent) || null,
+          versions,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/kyc/:kycDocId/view
+   * Short-lived signed URL to view a document (owner, assigned banker or supervisor)
+   */
+  static async view(req, res, next) {
+    try {
+      const view = await kycService.createViewUrl(req.params.kycDocId, req.user.userId, req.user.role);
+
+      // The signed URL must not outlive its expiry in any cache
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        message: `View URL valid until ${view.expiresAt.toISOString()}`,
+        data: view,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/kyc/required
    * Get required KYC documents for user
@@ -259,7 +309,7 @@ static async getStatus(req, res, next) {
     try {
       // All authenticated users can see their requirements
       const { loanType } = req.query;
-      const requiredDocs = kycService.getRequiredDocuments(req.user.role, loanType);
+      const requiredDocs = await kycService.getRequiredDocuments(req.user.role, loanType);
 
       const response = {
         success: true,
@@ -284,37 +334,6 @@ static async getStatus(req, res, next) {
       next(error);
     }
   }
-
-  /**
-   * Calculate KYC completion status
-   */
-  static calculateKYCCompletion(documents, requiredDocs) {
-    const completedTypes = new Set(documents
-      .filter(doc => doc.status === 'VERIFIED')
-      .map(doc => doc.type)
-    );
-
-    const pendingTypes = new Set(documents
-      .filter(doc => doc.status === 'PENDING')
-      .map(doc => doc.type)
-    );
-
-    const totalRequired = requiredDocs.length;
-    const completed = requiredDocs.filter(doc => completedTypes.has(doc.type)).length;
-    const pending = requiredDocs.filter(doc => pendingTypes.has(doc.type)).length;
-    const incomplete = totalRequired - completed - pending;
-
-    return {
-      percentComplete: totalRequired > 0 ? Math.round((completed / totalRequired) * 100) : 0,
-      completed,
-      pending,
-      incomplete,
-      status: totalRequired === 0 ? 'NOT_REQUIRED' :
-              completed === totalRequired ? 'COMPLETE' :
-              pending > 0 ? 'IN_PROGRESS' : 'INCOMPLETE',
-      needsAction: pending + incomplete > 0,
-    };
-  }
 }
 
 // Export controller methods with middleware
@@ -338,4 +357,14 @@ module.exports = {
     KYCController.getForReview
   ],
   getRequired: [authMiddleware.authenticate, KYCController.getRequired],
+  getHistory: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['CUSTOMER', 'MERCHANT']),
+    KYCController.getHistory
+  ],
+  view: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['CUSTOMER', 'MERCHANT', 'BANKER']),
+    KYCController.view
+  ],
 };
\ No newline at end of file
@@ -1,8 +1,11 @@
 const loanService = require('../services/loanService');
+const repaymentService = require('../services/repaymentService');
+const kycService = require('../services/kycService');
 const userService = require('../services/userService');
 const { validationSchemas, validateLoan } = require('../utils/validation');
 const authMiddleware = require('../middleware/auth');
 const { logger } = require('../middleware/logger');
+const { getAllowedTransitions } = require('../utils/loanStateMachine');
 
 class LoanController {
     /**
@@ -21,45 +24,46 @@ class LoanController {
             // Validate input
             const loanData = validateLoan(validationSchemas.loanApply, req.body);
 
-            let finalMerchantId = null;
-
-            // Handle merchant applications
-            if (req.user.role === 'MERCHANT') {
-                // Check if this is a proxy application (for a customer)
-                if (loanData.merchantId) {
-                    // Proxy loan: merchant initiating for customer
-                    logger.info('Merchant proxy loan application', {
-                        merchantId: req.user.userId,
-                        customerId: loanData.merchantId
-                    });
-                    finalMerchantId = req.user.userId; // Merchant is the intermediary
-                } else {
-                    // Self-application: merchant applying for their own business
-                    logger.info('Merchant self-application', {
-                        merchantId: req.user.userId
-                    });
-                    // merchantId remains null - merchant is the applicant
-                }
+            // Proxy application: a merchant applying for a linked customer
+            if (loanData.customerId && req.user.role !== 'MERCHANT') {
+                const error = new Error('Only merchants can apply on behalf of a customer');
+                error.status = 403;
+                return next(error);
             }
 
-            // Create loan (merchantId will be set only for proxy loans)
-            const loan = await loanService.createLoan(
-                { ...loanData, merchantId: finalMerchantId },
-                req.user.userId
-            );
+            const isProxy = Boolean(loanData.customerId);
+            if (isProxy) {
+                logger.info('Merchant proxy loan application', {
+                    merchantId: req.user.userId,
+                    customerId: loanData.customerId
+                });
+            } else if (req.user.role === 'MERCHANT') {
+                // Self-application: merchant applying for their own business
+                logger.info('Merchant self-application', {
+                    merchantId: req.user.userId
+                });
+            }
+
+            const loan = await loanService.createLoan(loanData, req.user.userId, req.user.role);
 
             const response = {
                 success: true,
-                message: 'Loan application submitted successfully',
+                message: isProxy
+                    ? 'Loan application created and sent to the customer for approval'
+                    : 'Loan application submitted successfully',
                 data: {
                     loan,
-                    applicationType: req.user.role === 'MERCHANT' && !finalMerchantId
-                        ? 'merchant_self'
-                        : req.user.role === 'MERCHANT' && finalMerchantId
-                            ? 'merchant_proxy'
+                    applicationType: isProxy
+                        ? 'merchant_proxy'
+                        : req.user.role === 'MERCHANT'
+                            ? 'merchant_self'
                             : 'customer_direct',
                     nextSteps: [
-                        'Complete KYC verification (if required)',
+                        ...(isProxy ? ['Customer approves the application'] : []),
+                        // KYC is already verified when the apply-stage gate is on
+                        ...(kycService.isGateEnabled('APPLY')
+                            ? []
+                            : ['Complete KYC verification before approval']),
                         'Wait for banker review (1-3 business days)',
                         'Check status in your dashboard'
                     ],
@@ -71,7 +75,7 @@ class LoanController {
                 userId: req.user.userId,
                 role: req.user.role,
                 applicationType: response.data.applicationType,
-                merchantId: finalMerchantId
+                merchantId: loan.merchantId
             });
 
             res.status(201).json(response);
@@ -86,7 +90,7 @@ class LoanController {
     static async getStatus(req, res, next) {
         try {
             const { id: loanId } = req.params;
-            const loan = await loanService.getLoanById(loanId, req.user.userId);
+            const loan = await loanService.getLoanById(loanId, req.user.userId, req.user.role);
 
             // Customize response based on user role
             let responseData = {
@@ -94,6 +98,8 @@ class LoanController {
                     id: loan.id,
                     type: loan.type,
                     amount: loan.amount,
+                    interestRate: loan.interestRate,
+                    tenureMonths: loan.tenureMonths,
                     status: loan.status,
                     createdAt: loan.createdAt,
                     updatedAt: loan.updatedAt,
@@ -104,12 +110,14 @@ class LoanController {
                 },
             };
 
-            // Add merchant info if exists
+            // Add originating merchant info for proxy applications
             if (loan.merchant) {
                 responseData.merchant = {
                     name: loan.merchant.name,
                     email: loan.merchant.email,
                 };
+                responseData.isProxyLoan = true;
+                responseData.awaitingCustomerApproval = loan.status === 'AWAITING_CUSTOMER';
             }
 
             // Add recent audit logs for transparency
@@ -118,9 +126,20 @@ class LoanController {
                     action: log.action,
                     timestamp: log.createdAt,
                     actorId: log.actorId,
+                    actorRole: log.actorRole,
+                    notes: log.details?.notes || null,
                 }));
             }
 
+            // Lifecycle actions available to this user
+            const actor = req.user.role === 'BANKER' ? 'BANKER'
+                : loan.applicantId === req.user.userId ? 'APPLICANT'
+                : loan.merchantId === req.user.userId ? 'ORIGINATOR'
+                : null;
+            responseData.availableActions = actor
+                ? getAllowedTransitions(loan.status, actor)
+                : [];
+
             // Role-specific enhancements
             switch (req.user.role) {
                 case 'BANKER':
@@ -129,11 +148,11 @@ class LoanController {
                         merchant: loan.merchant,
                         auditLogs: loan.auditLogs,
                     };
-                    break;
-                case 'MERCHANT':
-                    if (loan.merchantId === req.user.userId) {
-                        responseData.isProxyLoan = true;
-                    }
+                    responseData.assignment = {
+                        assignedBankerId: loan.assignedBankerId,
+                        assignedAt: loan.assignedAt,
+                        claimExpiresAt: loan.claimExpiresAt,
+                    };
                     break;
             }
 
@@ -162,10 +181,9 @@ class LoanController {
      */
     static async listLoans(req, res, next) {
         try {
-            const { status, type, limit = 10 } = req.query;
-            const filters = { status, type, limit: parseInt(limit) };
+            const filters = validateLoan(validationSchemas.loanListQuery, req.query);
 
-            const loans = await loanService.getUserLoans(
+            const { loans, pageInfo, total } = await loanService.getUserLoans(
                 req.user.userId,
                 req.user.role,
                 filters
@@ -173,7 +191,7 @@ class LoanController {
 
             const response = {
                 success: true,
-                message: `Found ${loans.length} loan(s)`,
+                message: `Found ${total} loan(s)`,
                 data: {
                     loans: loans.map(loan => ({
                         id: loan.id,
@@ -181,20 +199,26 @@ class LoanController {
                         amount: loan.amount,
                         status: loan.status,
                         createdAt: loan.createdAt,
+                        updatedAt: loan.updatedAt,
                         applicant: loan.applicant ? {
                             name: loan.applicant.name,
                             role: loan.applicant.role,
                         } : null,
+                        merchant: loan.merchant ? {
+                            name: loan.merchant.name,
+                        } : null,
                     })),
                     filters,
-                    total: loans.length,
+                    pageInfo,
+                    total,
                 },
             };
 
             logger.info('Loan List Retrieved', {
                 userId: req.user.userId,
                 role: req.user.role,
-                count: loans.length
+                count: loans.length,
+                total
             });
 
             res.status(200).json(response);
@@ -216,7 +240,7 @@ class LoanController {
             }
 
             const { id: loanId } = req.params;
-            const { notes } = req.body;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
 
             const loan = await loanService.updateLoanStatus(
                 loanId,
@@ -267,7 +291,7 @@ class LoanController {
             }
 
             const { id: loanId } = req.params;
-            const { notes } = req.body;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
 
             const loan = await loanService.updateLoanStatus(
                 loanId,
@@ -301,6 +325,379 @@ class LoanController {
         }
     }
 
+    /**
+     * POST /api/v1/loan/:id/review
+     * Start review of a pending loan (Banker only)
+     */
+    static async startReview(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+
+            const loan = await loanService.updateLoanStatus(
+                loanId,
+                'UNDER_REVIEW',
+                req.user.userId,
+                notes || 'Loan review started by banker'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan moved to review',
+                data: {
+                    loan: {
+                        id: loan.id,
+                        status: loan.status,
+                        bankerId: loan.bankerId,
+                        updatedAt: loan.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Loan Review Started', {
+                loanId,
+                bankerId: req.user.userId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/disburse
+     * Mark an approved loan as disbursed (Banker only)
+     */
+    static async disburse(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+
+            const loan = await loanService.updateLoanStatus(
+                loanId,
+                'DISBURSED',
+                req.user.userId,
+                notes || 'Loan disbursed by banker'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan disbursed successfully',
+                data: {
+                    loan: {
+                        id: loan.id,
+                        status: loan.status,
+                        amount: loan.amount,
+                        updatedAt: loan.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Loan Disbursed', {
+                loanId,
+                bankerId: req.user.userId,
+                amount: loan.amount
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/close
+     * Close a disbursed loan (Banker only)
+     */
+    static async close(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+
+            const loan = await loanService.updateLoanStatus(
+                loanId,
+                'CLOSED',
+                req.user.userId,
+                notes || 'Loan closed by banker'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan closed',
+                data: {
+                    loan: {
+                        id: loan.id,
+                        status: loan.status,
+                        updatedAt: loan.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Loan Closed', {
+                loanId,
+                bankerId: req.user.userId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/cancel
+     * Cancel own loan application before disbursement (Applicant only).
+     * The originating merchant can withdraw a proxy application until the customer approves it.
+     */
+    static async cancel(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+
+            const loan = await loanService.updateLoanStatus(
+                loanId,
+                'CANCELLED',
+                req.user.userId,
+                notes || 'Loan cancelled by applicant',
+                'APPLICANT'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan application cancelled',
+                data: {
+                    loan: {
+                        id: loan.id,
+                        status: loan.status,
+                        updatedAt: loan.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Loan Cancelled', {
+                loanId,
+                userId: req.user.userId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/customer-approve
+     * Approve a proxy application made on your behalf (Customer only)
+     */
+    static async customerApprove(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+
+            const loan = await loanService.updateLoanStatus(
+                loanId,
+                'PENDING',
+                req.user.userId,
+                notes || 'Proxy application approved by customer',
+                'APPLICANT'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan application approved and submitted for review',
+                data: {
+                    loan: {
+                        id: loan.id,
+                        status: loan.status,
+                        merchantId: loan.merchantId,
+                        updatedAt: loan.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Proxy Loan Approved by Customer', {
+                loanId,
+                customerId: req.user.userId,
+                merchantId: loan.merchantId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/customer-decline
+     * Decline a proxy application made on your behalf (Customer only)
+     */
+    static async customerDecline(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const { notes } = validateLoan(validationSchemas.loanAction, req.body || {});
+            const loan = await loanService.getLoanById(loanId, req.user.userId, req.user.role);
+
+            if (loan.status !== 'AWAITING_CUSTOMER') {
+                const error = new Error('Only applications awaiting your approval can be declined');
+                error.status = 409;
+                return next(error);
+            }
+
+            const updated = await loanService.updateLoanStatus(
+                loanId,
+                'CANCELLED',
+                req.user.userId,
+                notes || 'Proxy application declined by customer',
+                'APPLICANT'
+            );
+
+            const response = {
+                success: true,
+                message: 'Loan application declined',
+                data: {
+                    loan: {
+                        id: updated.id,
+                        status: updated.status,
+                        updatedAt: updated.updatedAt,
+                    },
+                },
+            };
+
+            logger.info('Proxy Loan Declined by Customer', {
+                loanId,
+                customerId: req.user.userId,
+                merchantId: updated.merchantId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/v1/loan/:id/schedule
+     * Get EMI repayment schedule of an approved loan
+     */
+    static async getSchedule(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+
+            const schedule = await loanService.getRepaymentSchedule(loanId, req.user.userId, req.user.role);
+
+            const response = {
+                success: true,
+                message: `Repayment schedule: ${schedule.tenureMonths} installments of ₹${schedule.emi}`,
+                data: schedule,
+            };
+
+            logger.info('Repayment Schedule Retrieved', {
+                loanId,
+                userId: req.user.userId
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/v1/loan/quote
+     * Quote EMI and repayment schedule before applying
+     */
+    static async quote(req, res, next) {
+        try {
+            const { type, amount, tenureMonths } = validateLoan(validationSchemas.loanQuote, req.query);
+
+            const quote = await loanService.getQuote(type, amount, tenureMonths, req.user.role);
+
+            const response = {
+                success: true,
+                message: `EMI of ₹${quote.emi} for ${quote.tenureMonths} months at ${quote.interestRate}% p.a.`,
+                data: quote,
+            };
+
+            logger.info('Loan Quote Generated', {
+                userId: req.user.userId,
+                type,
+                amount,
+                tenureMonths: quote.tenureMonths
+            });
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/v1/loan/:id/repayments
+     * Record a repayment (Banker or signed payment webhook)
+     */
+    static async recordRepayment(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+            const paymentData = validateLoan(validationSchemas.repayment, req.body);
+
+            const source = req.webhook ? 'WEBHOOK' : 'BANKER';
+            const result = await repaymentService.recordRepayment(
+                loanId,
+                paymentData,
+                source,
+                req.user ? req.user.userId : null
+            );
+
+            const response = {
+                success: true,
+                message: result.duplicate
+                    ? 'Repayment already recorded'
+                    : result.closed
+                        ? 'Repayment recorded, loan fully repaid and closed'
+                        : 'Repayment recorded',
+                data: {
+                    repayment: result.repayment,
+                    balance: result.balance,
+                    loanClosed: Boolean(result.closed),
+                },
+            };
+
+            logger.info('Repayment Endpoint Completed', {
+                loanId,
+                source,
+                duplicate: result.duplicate,
+                amount: paymentData.amount
+            });
+
+            res.status(result.duplicate ? 200 : 201).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/v1/loan/:id/repayments
+     * Repayment history with outstanding principal, overdue amount and DPD
+     */
+    static async listRepayments(req, res, next) {
+        try {
+            const { id: loanId } = req.params;
+
+            const result = await repaymentService.getRepayments(loanId, req.user.userId, req.user.role);
+
+            const response = {
+                success: true,
+                message: `Outstanding principal: ₹${result.balance.outstandingPrincipal}`,
+                data: result,
+            };
+
+            res.status(200).json(response);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * GET /api/v1/loan/analytics/merchant
      * Get merchant loan analytics (Merchant only)
@@ -346,5 +743,15 @@ module.exports = {
     listLoans: [authMiddleware.authenticate, LoanController.listLoans],
     approve: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanController.approve],
     reject: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanController.reject],
+    startReview: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanController.startReview],
+    disburse: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanController.disburse],
+    close: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanController.close],
+    cancel: [authMiddleware.authenticate, authMiddleware.authorize(['CUSTOMER', 'MERCHANT']), LoanController.cancel],
+    customerApprove: [authMiddleware.authenticate, authMiddleware.authorize(['CUSTOMER']), LoanController.customerApprove],
+    customerDecline: [authMiddleware.authenticate, authMiddleware.authorize(['CUSTOMER']), LoanController.customerDecline],
+    getSchedule: [authMiddleware.authenticate, LoanController.getSchedule],
+    recordRepayment: [authMiddleware.bankerOrWebhook(), LoanController.recordRepayment],
+    listRepayments: [authMiddleware.authenticate, LoanController.listRepayments],
+    quote: [authMiddleware.authenticate, LoanController.quote],
     merchantAnalytics: [authMiddleware.authenticate, authMiddleware.authorize(['MERCHANT']), LoanController.merchantAnalytics],
 };
\ No newline at end of file
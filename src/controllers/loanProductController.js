@@ -0,0 +1,123 @@
+const loanProductService = require('../services/loanProductService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class LoanProductController {
+  /**
+   * GET /api/v1/loan-products
+   * List products (bankers see all, others see active products for their role)
+   */
+  static async list(req, res, next) {
+    try {
+      const isBanker = req.user.role === 'BANKER';
+      const products = await loanProductService.listProducts({
+        role: isBanker ? null : req.user.role,
+        includeInactive: isBanker && req.query.includeInactive === 'true',
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Found ${products.length} loan product(s)`,
+        data: { products, total: products.length },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/loan-products/:id
+   * Get a single product
+   */
+  static async get(req, res, next) {
+    try {
+      const product = await loanProductService.getProductById(req.params.id);
+
+      if (req.user.role !== 'BANKER' && (!product.isActive || !product.eligibleRoles.includes(req.user.role))) {
+        const error = new Error('Loan product not found');
+        error.status = 404;
+        return next(error);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Loan product retrieved',
+        data: { product },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/loan-products
+   * Create a product (Banker only)
+   */
+  static async create(req, res, next) {
+    try {
+      const productData = validate(validationSchemas.loanProductCreate, req.body);
+
+      const product = await loanProductService.createProduct(productData, req.user.userId);
+
+      logger.info('Loan Product Created via API', {
+        productId: product.id,
+        bankerId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Loan product created',
+        data: { product },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/loan-products/:id
+   * Update a product (Banker only)
+   */
+  static async update(req, res, next) {
+    try {
+      const updates = validate(validationSchemas.loanProductUpdate, req.body);
+
+      const product = await loanProductService.updateProduct(req.params.id, updates, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Loan product updated',
+        data: { product },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/loan-products/:id
+   * Deactivate a product (Banker only)
+   */
+  static async remove(req, res, next) {
+    try {
+      const product = await loanProductService.deactivateProduct(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Loan product deactivated',
+        data: { product },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  list: [authMiddleware.authenticate, LoanProductController.list],
+  get: [authMiddleware.authenticate, LoanProductController.get],
+  create: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanProductController.create],
+  update: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanProductController.update],
+  remove: [authMiddleware.authenticate, authMiddleware.authorize(['BANKER']), LoanProductController.remove],
+};
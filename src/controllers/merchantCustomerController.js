@@ -0,0 +1,132 @@
+const merchantCustomerService = require('../services/merchantCustomerService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class MerchantCustomerController {
+  /**
+   * POST /api/v1/merchant-customers
+   * Ask a customer for consent to apply on their behalf (Merchant only)
+   */
+  static async requestLink(req, res, next) {
+    try {
+      const { customerEmail } = validate(validationSchemas.merchantLinkRequest, req.body);
+
+      const link = await merchantCustomerService.requestLink(req.user.userId, customerEmail);
+
+      res.status(201).json({
+        success: true,
+        message: 'Link request sent to the customer',
+        data: { link },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/merchant-customers?status=
+   * A merchant's customers, or the merchants linked to a customer
+   */
+  static async listLinks(req, res, next) {
+    try {
+      const { status } = validate(validationSchemas.merchantLinkQuery, req.query);
+
+      const links = await merchantCustomerService.listLinks(req.user.userId, req.user.role, status);
+
+      res.status(200).json({
+        success: true,
+        message: `Found ${links.length} link(s)`,
+        data: { links },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/merchant-customers/:id/consent
+   * Grant the merchant permission to apply on your behalf (Customer only)
+   */
+  static async consent(req, res, next) {
+    try {
+      const link = await merchantCustomerService.respond(req.params.id, req.user.userId, true);
+
+      logger.info('Merchant Link Consented', { linkId: link.id, customerId: req.user.userId });
+
+      res.status(200).json({
+        success: true,
+        message: `${link.merchant.name} can now apply for loans on your behalf`,
+        data: { link },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/merchant-customers/:id/decline
+   * Refuse a merchant's link request (Customer only)
+   */
+  static async decline(req, res, next) {
+    try {
+      const link = await merchantCustomerService.respond(req.params.id, req.user.userId, false);
+
+      res.status(200).json({
+        success: true,
+        message: 'Link request declined',
+        data: { link },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/merchant-customers/:id/revoke
+   * End a link; proxy applications awaiting approval are cancelled
+   */
+  static async revoke(req, res, next) {
+    try {
+      const { cancelledLoans, ...link } = await merchantCustomerService.revoke(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: cancelledLoans > 0
+          ? `Link revoked and ${cancelledLoans} pending application(s) cancelled`
+          : 'Link revoked',
+        data: { link, cancelledLoans },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  requestLink: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['MERCHANT']),
+    MerchantCustomerController.requestLink
+  ],
+  listLinks: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['MERCHANT', 'CUSTOMER']),
+    MerchantCustomerController.listLinks
+  ],
+  consent: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['CUSTOMER']),
+    MerchantCustomerController.consent
+  ],
+  decline: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['CUSTOMER']),
+    MerchantCustomerController.decline
+  ],
+  revoke: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['MERCHANT', 'CUSTOMER']),
+    MerchantCustomerController.revoke
+  ],
+};
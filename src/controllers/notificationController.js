@@ -0,0 +1,135 @@
+const notificationService = require('../services/notificationService');
+const outboxService = require('../services/outboxService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class NotificationController {
+  /**
+   * GET /api/v1/notifications
+   * List current user's notifications with unread count
+   */
+  static async list(req, res, next) {
+    try {
+      const filters = validate(validationSchemas.notificationQuery, req.query);
+
+      const { notifications, total, unreadCount } = await notificationService.getUserNotifications(
+        req.user.userId,
+        filters
+      );
+
+      const response = {
+        success: true,
+        message: `You have ${unreadCount} unread notification(s)`,
+        data: {
+          notifications,
+          unreadCount,
+          total,
+          filters,
+        },
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/notifications/:id/read
+   * Mark a notification as read
+   */
+  static async markRead(req, res, next) {
+    try {
+      const { id: notificationId } = req.params;
+
+      const unreadCount = await notificationService.markAsRead(notificationId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: { id: notificationId, unreadCount },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/notifications/read-all
+   * Mark all notifications as read
+   */
+  static async markAllRead(req, res, next) {
+    try {
+      const updated = await notificationService.markAllAsRead(req.user.userId);
+
+      logger.info('Notifications Cleared', {
+        userId: req.user.userId,
+        updated
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${updated} notification(s) marked as read`,
+        data: { updated, unreadCount: 0 },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/notifications/preferences
+   * Get outbound channel preferences
+   */
+  static async getPreferences(req, res, next) {
+    try {
+      const preferences = await outboxService.getPreferences(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences retrieved',
+        data: { preferences },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/notifications/preferences
+   * Update outbound channel preferences
+   */
+  static async updatePreferences(req, res, next) {
+    try {
+      const updates = validate(validationSchemas.notificationPreferences, req.body);
+
+      if (updates.push && !updates.pushToken) {
+        const current = await outboxService.getPreferences(req.user.userId);
+        if (!current.pushToken) {
+          const error = new Error('A push token is required to enable push notifications');
+          error.status = 400;
+          return next(error);
+        }
+      }
+
+      const preferences = await outboxService.updatePreferences(req.user.userId, updates);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated',
+        data: { preferences },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  list: [authMiddleware.authenticate, NotificationController.list],
+  markRead: [authMiddleware.authenticate, NotificationController.markRead],
+  markAllRead: [authMiddleware.authenticate, NotificationController.markAllRead],
+  getPreferences: [authMiddleware.authenticate, NotificationController.getPreferences],
+  updatePreferences: [authMiddleware.authenticate, NotificationController.updatePreferences],
+};
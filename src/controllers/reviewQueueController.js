@@ -0,0 +1,141 @@
+const assignmentService = require('../services/assignmentService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+// URL segment -> queue entity type
+const ENTITY_PATHS = {
+  loans: 'LOAN',
+  kyc: 'KYC_DOCUMENT',
+};
+
+const resolveEntityType = (segment) => {
+  const entityType = ENTITY_PATHS[segment];
+  if (!entityType) {
+    const error = new Error(`Unknown review item type: ${segment}`);
+    error.status = 404;
+    throw error;
+  }
+  return entityType;
+};
+
+class ReviewQueueController {
+  /**
+   * GET /api/v1/review-queue?scope=mine|unassigned
+   * Loans and KYC documents claimed by the banker, or waiting in the pool
+   */
+  static async getQueue(req, res, next) {
+    try {
+      const { scope } = validate(validationSchemas.reviewQueueQuery, req.query);
+
+      const queue = await assignmentService.getQueue(req.user.userId, scope);
+
+      const response = {
+        success: true,
+        message: `${queue.loans.length} loan(s) and ${queue.kycDocuments.length} KYC document(s) ${scope === 'mine' ? 'in your queue' : 'unassigned'}`,
+        data: { scope, ...queue },
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/review-queue/:entity/:id/claim
+   * Claim an item for review (or renew your claim)
+   */
+  static async claim(req, res, next) {
+    try {
+      const entityType = resolveEntityType(req.params.entity);
+
+      const item = await assignmentService.claim(entityType, req.params.id, req.user.userId);
+
+      const response = {
+        success: true,
+        message: `Claimed until ${item.claimExpiresAt.toISOString()}`,
+        data: { entityType, item },
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/review-queue/:entity/:id/release
+   * Return a claimed item to the pool
+   */
+  static async release(req, res, next) {
+    try {
+      const entityType = resolveEntityType(req.params.entity);
+
+      const item = await assignmentService.release(entityType, req.params.id, req.user.userId);
+
+      const response = {
+        success: true,
+        message: 'Item released to the review pool',
+        data: { entityType, item },
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/review-queue/:entity/:id/assign
+   * Assign or reassign an item to a banker (Supervisor only)
+   */
+  static async assign(req, res, next) {
+    try {
+      const entityType = resolveEntityType(req.params.entity);
+      const { bankerId } = validate(validationSchemas.reviewAssign, req.body);
+
+      const item = await assignmentService.assign(entityType, req.params.id, bankerId, req.user.userId);
+
+      const response = {
+        success: true,
+        message: 'Item assigned',
+        data: { entityType, item },
+      };
+
+      logger.info('Review Item Assigned by Supervisor', {
+        entityType,
+        entityId: req.params.id,
+        bankerId,
+        supervisorId: req.user.userId
+      });
+
+      res.status(200).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  getQueue: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['BANKER']),
+    ReviewQueueController.getQueue
+  ],
+  claim: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['BANKER']),
+    ReviewQueueController.claim
+  ],
+  release: [
+    authMiddleware.authenticate,
+    authMiddleware.authorize(['BANKER']),
+    ReviewQueueController.release
+  ],
+  assign: [
+    authMiddleware.authenticate,
+    authMiddleware.requireSupervisor(),
+    ReviewQueueController.assign
+  ],
+};
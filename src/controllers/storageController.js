@@ -0,0 +1,93 @@
+const { getDocumentStorage } = require('../services/documentStorage');
+const { logger } = require('../middleware/logger');
+
+/**
+ * The local adapter, or a 404 when another provider is configured
+ */
+const requireLocalStorage = () => {
+  const storage = getDocumentStorage();
+  if (storage.name !== 'local') {
+    const error = new Error('Local document storage is not enabled');
+    error.status = 404;
+    throw error;
+  }
+  return storage;
+};
+
+const verifiedPublicId = (storage, action, req) => {
+  const { expires, signature } = req.query;
+  const publicId = storage.verifySignedKey(action, req.params.key, expires, signature);
+
+  if (!publicId) {
+    const error = new Error('Invalid or expired signed URL');
+    error.status = 403;
+    throw error;
+  }
+  return publicId;
+};
+
+class StorageController {
+  /**
+   * PUT /api/v1/storage/local/:key?expires=&signature=
+   * Receive a file for a signed upload URL (local storage only)
+   */
+  static async upload(req, res, next) {
+    try {
+      const storage = requireLocalStorage();
+      const publicId = verifiedPublicId(storage, 'upload', req);
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        const error = new Error('Request body must contain the file');
+        error.status = 400;
+        throw error;
+      }
+
+      const written = await storage.writeAsset(publicId, req.body);
+      if (!written) {
+        const error = new Error('A file has already been uploaded for this URL');
+        error.status = 409;
+        throw error;
+      }
+
+      logger.info('Local Document Stored', { publicId, bytes: req.body.length });
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded',
+        data: { publicId, bytes: req.body.length },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/storage/local/:key?expires=&signature=
+   * Serve a file for a signed download URL (local storage only)
+   */
+  static async download(req, res, next) {
+    try {
+      const storage = requireLocalStorage();
+      const publicId = verifiedPublicId(storage, 'download', req);
+
+      const asset = await storage.readAsset(publicId);
+      if (!asset) {
+        const error = new Error('File not found');
+        error.status = 404;
+        throw error;
+      }
+
+      res.set('Content-Type', asset.contentType);
+      res.set('Cache-Control', 'private, no-store');
+      res.status(200).send(asset.data);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Signed URLs carry their own authorization
+module.exports = {
+  upload: [StorageController.upload],
+  download: [StorageController.download],
+};
@@ -0,0 +1,85 @@
+const userService = require('../services/userService');
+const authMiddleware = require('../middleware/auth');
+const { validationSchemas, validate } = require('../utils/validation');
+const { logger } = require('../middleware/logger');
+
+class UserController {
+  /**
+   * GET /api/v1/users/me
+   * Get the signed-in user's profile
+   */
+  static async getProfile(req, res, next) {
+    try {
+      const user = await userService.getUserProfile(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Profile retrieved',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/users/me
+   * Update name and/or phone (a new phone number must be re-verified)
+   */
+  static async updateProfile(req, res, next) {
+    try {
+      const updates = validate(validationSchemas.profileUpdate, req.body);
+
+      const { phoneVerificationRequired, ...user } = await userService.updateUserProfile(
+        req.user.userId,
+        updates
+      );
+
+      res.status(200).json({
+        success: true,
+        message: phoneVerificationRequired
+          ? 'Profile updated. Please verify your new phone number'
+          : 'Profile updated',
+        data: { user, phoneVerificationRequired },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/users/me/change-password
+   * Change password and sign out every other session
+   */
+  static async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = validate(validationSchemas.changePassword, req.body);
+
+      const { revokedSessions } = await userService.changePassword(
+        req.user.userId,
+        currentPassword,
+        newPassword,
+        req.user.sessionId
+      );
+
+      logger.info('Password Change Completed', {
+        userId: req.user.userId,
+        revokedSessions
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed. Other sessions have been signed out',
+        data: { revokedSessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  getProfile: [authMiddleware.authenticate, UserController.getProfile],
+  updateProfile: [authMiddleware.authenticate, UserController.updateProfile],
+  changePassword: [authMiddleware.authenticate, UserController.changePassword],
+};
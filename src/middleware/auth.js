@@ -1,9 +1,15 @@
+const crypto = require('crypto');
 const jwtUtil = require('../utils/jwt');
+const tokenService = require('../services/tokenService');
+const userService = require('../services/userService');
+const { setRequestContext } = require('./requestContext');
+const { idempotency } = require('./idempotency');
 const { logger } = require('./logger');
 
 const authMiddleware = {
   /**
-   * Verify JWT token and attach user to request
+   * Verify JWT token and attach user to request, then honour any
+   * Idempotency-Key on the request
    */
   authenticate: async (req, res, next) => {
     try {
@@ -11,22 +17,40 @@ const authMiddleware = {
       const token = jwtUtil.extractTokenFromHeader(authHeader);
       const decoded = jwtUtil.verifyToken(token);
 
-      // Attach user to request
+      // Reject tokens whose session was revoked (logout / refresh reuse)
+      const sessionActive = await tokenService.isSessionActive(decoded.sessionId);
+      if (!sessionActive) {
+        const error = new Error('Session has been revoked');
+        error.status = 401;
+        throw error;
+      }
+
+      // Suspended (or deleted) accounts lose access immediately
+      const account = await userService.getAccountStatus(decoded.userId);
+      if (!account || account.status === 'SUSPENDED') {
+        const error = new Error('Account is suspended');
+        error.status = 403;
+        throw error;
+      }
+
+      // Attach user to request (and to the context used by audit logging)
       req.user = decoded;
+      setRequestContext({ userId: decoded.userId, role: decoded.role });
       
       logger.info('Token Verified', { 
         userId: decoded.userId, 
         role: decoded.role 
       });
-
-      next();
     } catch (error) {
       logger.warn('Authentication Failed', { 
         path: req.originalUrl, 
         ip: req.ip 
       });
-      next(error);
+      return next(error);
     }
+
+    // Replays only reach authenticated callers, after session and status checks
+    return idempotency(req, res, next);
   },
 
   /**
@@ -56,12 +80,89 @@ const authMiddleware = {
     };
   },
 
+  /**
+   * Verify an HMAC-SHA256 signature (hex) of the raw body, sent by the
+   * payment provider in X-Webhook-Signature
+   */
+  verifyWebhookSignature: (req, res, next) => {
+    const signature = req.get('X-Webhook-Signature') || '';
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+    if (!secret || !req.rawBody) {
+      const error = new Error('Webhook verification is not configured');
+      error.status = 401;
+      return next(error);
+    }
+
+    // Compare bytes, not string lengths: non-hex input decodes short and is rejected
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+    const provided = Buffer.from(signature, 'hex');
+    const valid = provided.length === expected.length &&
+      crypto.timingSafeEqual(provided, expected);
+
+    if (!valid) {
+      logger.warn('Webhook Signature Rejected', {
+        path: req.originalUrl,
+        ip: req.ip
+      });
+      const error = new Error('Invalid webhook signature');
+      error.status = 401;
+      return next(error);
+    }
+
+    req.webhook = true;
+    next();
+  },
+
+  /**
+   * Accept either a signed webhook call or an authenticated banker
+   */
+  bankerOrWebhook: () => (req, res, next) => {
+    if (req.get('X-Webhook-Signature')) {
+      return authMiddleware.verifyWebhookSignature(req, res, next);
+    }
+
+    authMiddleware.authenticate(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+      authMiddleware.requireBanker()(req, res, next);
+    });
+  },
+
+  /**
+   * Banker with supervisor rights (reassigning review work).
+   * Read from the database so revoking the flag takes effect immediately.
+   */
+  requireSupervisor: () => async (req, res, next) => {
+    try {
+      const user = await userService.getUserProfile(req.user.userId);
+
+      if (req.user.role !== 'BANKER' || !user.isSupervisor) {
+        const error = new Error('Supervisor access required');
+        error.status = 403;
+        logger.warn('Access Denied', {
+          userId: req.user.userId,
+          role: req.user.role,
+          requiredRoles: ['SUPERVISOR'],
+          path: req.originalUrl
+        });
+        return next(error);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Role helpers
    */
   requireCustomer: () => authMiddleware.authorize(['CUSTOMER']),
   requireMerchant: () => authMiddleware.authorize(['MERCHANT']),
   requireBanker: () => authMiddleware.authorize(['BANKER']),
+  requireAdmin: () => authMiddleware.authorize(['ADMIN']),
   requireAny: () => authMiddleware.authorize(['CUSTOMER', 'MERCHANT', 'BANKER']),
 };
 
@@ -59,6 +59,11 @@ const errorHandler = (err, req, res, next) => {
     statusCode = err.status || err.statusCode;
     response.message = err.message;
     response.statusCode = statusCode;
+
+    // Structured context attached by services (e.g. missing KYC documents)
+    if (err.data) {
+      response.data = err.data;
+    }
   }
   
   // Handle Prisma errors
@@ -75,10 +80,10 @@ const errorHandler = (err, req, res, next) => {
     });
   }
   
-  // Handle authentication errors
-  if (err.name === 'UnauthorizedError' || err.message.includes('token')) {
+  // Handle authentication errors (by status, never by message text)
+  if (err.name === 'UnauthorizedError' || statusCode === 401) {
     statusCode = 401;
-    response.message = 'Invalid or missing token';
+    response.message = err.status === 401 || err.statusCode === 401 ? err.message : 'Invalid or missing token';
     response.statusCode = 401;
     
     logger.warn('Unauthorized Access', { 
@@ -0,0 +1,101 @@
+const idempotencyService = require('../services/idempotencyService');
+const { logger } = require('./logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// Responses that issue credentials or secrets are never stored
+const EXCLUDED_PREFIXES = ['/api/v1/auth'];
+
+/**
+ * Only outcomes a retry would reproduce are stored: successes and validation
+ * failures. Auth failures (401/403), conflicts (409), throttling and server
+ * errors release the key so a retry runs again.
+ */
+const isStorable = (status) => (status >= 200 && status < 300) || status === 400 || status === 422;
+
+/**
+ * Idempotency-Key support for POST requests.
+ *
+ * Runs from authMiddleware.authenticate, so only a live session of an active
+ * account can reserve a key or receive a replay. The first request with a key
+ * runs normally and its response is stored if storable. Repeats with the same
+ * key and payload get the stored response with `Idempotent-Replayed: true`;
+ * a different payload is rejected with 422. Keys are scoped per user. If the
+ * connection closes before a response is sent, the key is released so the
+ * client can retry.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (req.method !== 'POST' || !key || !req.user || req.idempotencyChecked
+    || EXCLUDED_PREFIXES.some(prefix => req.originalUrl.startsWith(prefix))) {
+    return next();
+  }
+  req.idempotencyChecked = true;
+
+  if (key.length > MAX_KEY_LENGTH) {
+    const error = new Error(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    error.status = 400;
+    return next(error);
+  }
+
+  try {
+    const scope = `user:${req.user.userId}`;
+    const body = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const requestHash = idempotencyService.hashRequest(req.method, req.originalUrl, body);
+
+    const { state, record } = await idempotencyService.begin({
+      scope,
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+    });
+
+    res.set('Idempotency-Key', key);
+
+    if (state === 'REPLAY') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Capture the JSON body the handler (or error handler) sends
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (payload) => {
+      responseBody = payload;
+      return originalJson(payload);
+    };
+
+    let settled = false;
+    const settle = (store) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      const update = store
+        ? idempotencyService.complete(record.id, res.statusCode, responseBody)
+        : idempotencyService.release(record.id);
+
+      update.catch((error) => {
+        logger.error('Idempotency Key Update Failed', { key, error: error.message });
+      });
+    };
+
+    res.on('finish', () => settle(isStorable(res.statusCode)));
+    // Client went away or the response failed before finishing
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        settle(false);
+      }
+    });
+    res.on('error', () => settle(false));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotency };
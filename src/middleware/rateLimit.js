@@ -0,0 +1,133 @@
+const jwt = require('jsonwebtoken');
+const { createRateLimitStore } = require('../services/rateLimitStores');
+const { logger } = require('./logger');
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// One store shared by every limiter; keys are prefixed with the limiter name
+const store = createRateLimitStore();
+
+/**
+ * Default limits per route group. Override with RATE_LIMIT_<GROUP>_MAX and
+ * RATE_LIMIT_<GROUP>_WINDOW_SECONDS (e.g. RATE_LIMIT_AUTH_MAX=50).
+ */
+const RATE_LIMIT_GROUPS = {
+  GLOBAL: { max: 300, windowSeconds: 15 * 60 },
+  AUTH: { max: 30, windowSeconds: 15 * 60 },
+  KYC_UPLOAD: { max: 20, windowSeconds: 60 * 60 },
+  LOAN_APPLY: { max: 10, windowSeconds: 60 * 60 },
+};
+
+/**
+ * User ID when the request carries a valid access token, otherwise the IP.
+ * Runs before authentication, so the token is only decoded here; the session
+ * checks still happen in authMiddleware.authenticate.
+ */
+const userOrIpKey = (req) => {
+  if (req.user?.userId) {
+    return `user:${req.user.userId}`;
+  }
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+      if (decoded.userId) {
+        return `user:${decoded.userId}`;
+      }
+    } catch (error) {
+      // Invalid tokens are limited by IP
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Expose the most restrictive limit seen so far on this request
+ */
+const setHeaders = (req, res, { max, windowSeconds, remaining, resetSeconds }) => {
+  if (req.rateLimit && req.rateLimit.remaining <= remaining) {
+    return;
+  }
+
+  req.rateLimit = { max, remaining };
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  res.set('RateLimit-Policy', `${max};w=${windowSeconds}`);
+};
+
+/**
+ * Fixed-window request limiter.
+ * Options: name, windowMs, max, keyGenerator (default user ID or IP), skip(req).
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator = userOrIpKey, skip = () => false }) => {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || skip(req)) {
+      return next();
+    }
+
+    try {
+      const key = keyGenerator(req);
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      setHeaders(req, res, {
+        max,
+        windowSeconds,
+        remaining: Math.max(0, max - count),
+        resetSeconds,
+      });
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+
+        logger.warn('Rate Limit Exceeded', {
+          limiter: name,
+          key,
+          path: req.originalUrl
+        });
+
+        const error = new Error('Too many requests, please try again later');
+        error.status = 429;
+        error.data = { limiter: name, retryAfterSeconds: resetSeconds };
+        return next(error);
+      }
+
+      next();
+    } catch (error) {
+      // A failing store must not take the API down
+      logger.error('Rate Limiter Failed', { limiter: name, error: error.message });
+      next();
+    }
+  };
+};
+
+/**
+ * Limiter for a named group in RATE_LIMIT_GROUPS, with env overrides
+ */
+const groupLimiter = (group, options = {}) => {
+  const defaults = RATE_LIMIT_GROUPS[group];
+  const max = parseInt(process.env[`RATE_LIMIT_${group}_MAX`] || defaults.max);
+  const windowSeconds = parseInt(process.env[`RATE_LIMIT_${group}_WINDOW_SECONDS`] || defaults.windowSeconds);
+
+  return rateLimit({
+    name: group.toLowerCase(),
+    windowMs: windowSeconds * 1000,
+    max,
+    ...options,
+  });
+};
+
+const rateLimiters = {
+  // Everything under /api/v1 except health checks
+  global: groupLimiter('GLOBAL', { skip: (req) => req.path.startsWith('/health') }),
+  auth: groupLimiter('AUTH'),
+  kycUpload: groupLimiter('KYC_UPLOAD'),
+  loanApply: groupLimiter('LOAN_APPLY'),
+};
+
+module.exports = { rateLimit, rateLimiters, userOrIpKey, RATE_LIMIT_GROUPS };
@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = new AsyncLocalStorage();
+
+// Client-supplied request IDs end up in audit records and logs, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Assign a request ID and keep per-request context (IP, request ID, user)
+ * available to services without threading it through every call.
+ */
+const requestContext = (req, res, next) => {
+  const clientRequestId = req.get('X-Request-Id');
+  const requestId = clientRequestId && REQUEST_ID_PATTERN.test(clientRequestId)
+    ? clientRequestId
+    : uuidv4();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  storage.run({ requestId, ipAddress: req.ip, userId: null, role: null }, next);
+};
+
+/**
+ * Get the current request context (empty object outside a request)
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Merge values into the current request context (e.g. after authentication)
+ */
+const setRequestContext = (values) => {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+};
+
+module.exports = { requestContext, getRequestContext, setRequestContext };
@@ -0,0 +1,14 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const router = express.Router();
+
+// User management (Admin only) - /api/v1/admin/users
+router.get('/users', adminController.listUsers);
+router.post('/users', adminController.createUser);
+router.get('/users/:id', adminController.getUser);
+router.post('/users/:id/suspend', adminController.suspendUser);
+router.post('/users/:id/reactivate', adminController.reactivateUser);
+router.post('/users/:id/unlock', adminController.unlockUser);
+router.patch('/users/:id/role', adminController.changeRole);
+
+module.exports = router;
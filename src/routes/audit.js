@@ -0,0 +1,8 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const router = express.Router();
+
+// Banker/Admin routes - GET /api/v1/audit
+router.get('/', auditController.list);
+
+module.exports = router;
@@ -1,11 +1,60 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const authMiddleware = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const router = express.Router();
 
+// Password recovery is unauthenticated, so throttle it per IP
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT || '5'),
+  keyGenerator: (req) => `ip:${req.ip}`,
+});
+
+const twoFactorLimiter = rateLimit({
+  name: 'two-factor',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.TWO_FACTOR_RATE_LIMIT || '20'),
+});
+
+const otpLimiter = rateLimit({
+  name: 'otp',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.OTP_RATE_LIMIT || '20'),
+  keyGenerator: (req) => `user:${req.user.userId}`,
+});
+
 // POST /api/v1/auth/signup - Register new user
 router.post('/signup', authController.signup);
 
 // POST /api/v1/auth/login - User login
 router.post('/login', authController.login);
 
+// Second login step when 2FA is on (or required by policy)
+router.post('/login/2fa', twoFactorLimiter, authController.loginTwoFactor);
+router.post('/login/2fa/setup', twoFactorLimiter, authController.loginTwoFactorSetup);
+
+// POST /api/v1/auth/refresh - Rotate refresh token
+router.post('/refresh', authController.refresh);
+
+// POST /api/v1/auth/logout - Revoke current session
+router.post('/logout', authController.logout);
+
+// Email/phone verification (signed-in user)
+router.post('/otp/send', authMiddleware.authenticate, otpLimiter, authController.sendOtp);
+router.post('/otp/verify', authMiddleware.authenticate, otpLimiter, authController.verifyOtp);
+
+// TOTP management (signed-in user)
+router.post('/2fa/setup', authMiddleware.authenticate, authController.twoFactorSetup);
+router.post('/2fa/enable', authMiddleware.authenticate, authController.twoFactorEnable);
+router.post('/2fa/disable', authMiddleware.authenticate, authController.twoFactorDisable);
+router.post('/2fa/backup-codes', authMiddleware.authenticate, authController.twoFactorBackupCodes);
+
+// POST /api/v1/auth/forgot-password - Email a one-time reset link
+router.post('/forgot-password', passwordResetLimiter, authController.forgotPassword);
+
+// POST /api/v1/auth/reset-password - Set a new password with the reset token
+router.post('/reset-password', passwordResetLimiter, authController.resetPassword);
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,18 @@
 const express = require('express');
 const kycController = require('../controllers/kycController');
+const { rateLimiters } = require('../middleware/rateLimit');
 const router = express.Router();
 
 // Customer/Merchant routes
-router.post('/upload-url', kycController.generateUploadUrl);
+// Each call creates a KYC row, so it has its own limit
+router.post('/upload-url', rateLimiters.kycUpload, kycController.generateUploadUrl);
 router.post('/complete-upload', kycController.completeUpload);
 router.get('/status', kycController.getStatus);
 router.get('/required', kycController.getRequired);
+router.get('/types/:docType/versions', kycController.getHistory);
+
+// Owner or banker - expiring signed URL to the stored file
+router.get('/:kycDocId/view', kycController.view);
 
 // Banker routes
 router.get('/pending', kycController.getPendingForReview);
@@ -1,19 +1,40 @@
 const express = require('express');
 const loanController = require('../controllers/loanController');
+const { rateLimiters } = require('../middleware/rateLimit');
 const router = express.Router();
 
 // Apply loan (Customer or Merchant) - POST /api/v1/loan/apply
-router.post('/apply', loanController.apply);
+router.post('/apply', rateLimiters.loanApply, loanController.apply);
 
 // Get loan status (Customer/Merchant/Banker) - GET /api/v1/loan/:id/status
 router.get('/:id/status', loanController.getStatus);
 
+// Get EMI schedule - GET /api/v1/loan/:id/schedule
+router.get('/:id/schedule', loanController.getSchedule);
+
+// Repayments - POST (Banker or payment webhook) / GET /api/v1/loan/:id/repayments
+router.post('/:id/repayments', loanController.recordRepayment);
+router.get('/:id/repayments', loanController.listRepayments);
+
+// Quote EMI before applying - GET /api/v1/loan/quote
+router.get('/quote', loanController.quote);
+
 // List user's loans - GET /api/v1/loan/list
 router.get('/list', loanController.listLoans);
 
 // Banker actions
+router.post('/:id/review', loanController.startReview);
 router.post('/:id/approve', loanController.approve);
 router.post('/:id/reject', loanController.reject);
+router.post('/:id/disburse', loanController.disburse);
+router.post('/:id/close', loanController.close);
+
+// Applicant actions
+router.post('/:id/cancel', loanController.cancel);
+
+// Customer decision on a merchant's proxy application
+router.post('/:id/customer-approve', loanController.customerApprove);
+router.post('/:id/customer-decline', loanController.customerDecline);
 
 // Merchant analytics - GET /api/v1/loan/analytics/merchant
 router.get('/analytics/merchant', loanController.merchantAnalytics);
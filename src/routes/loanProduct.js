@@ -0,0 +1,14 @@
+const express = require('express');
+const loanProductController = require('../controllers/loanProductController');
+const router = express.Router();
+
+// Catalog - GET /api/v1/loan-products
+router.get('/', loanProductController.list);
+router.get('/:id', loanProductController.get);
+
+// Banker management
+router.post('/', loanProductController.create);
+router.patch('/:id', loanProductController.update);
+router.delete('/:id', loanProductController.remove);
+
+module.exports = router;
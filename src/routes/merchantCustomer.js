@@ -0,0 +1,16 @@
+const express = require('express');
+const merchantCustomerController = require('../controllers/merchantCustomerController');
+const router = express.Router();
+
+// Merchant requests a link / both sides list their links - /api/v1/merchant-customers
+router.post('/', merchantCustomerController.requestLink);
+router.get('/', merchantCustomerController.listLinks);
+
+// Customer consent
+router.post('/:id/consent', merchantCustomerController.consent);
+router.post('/:id/decline', merchantCustomerController.decline);
+
+// Either side can end the link
+router.post('/:id/revoke', merchantCustomerController.revoke);
+
+module.exports = router;
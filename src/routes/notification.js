@@ -0,0 +1,18 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const router = express.Router();
+
+// GET /api/v1/notifications - List notifications with unread count
+router.get('/', notificationController.list);
+
+// GET/PUT /api/v1/notifications/preferences - Outbound channel preferences
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+
+// POST /api/v1/notifications/read-all - Mark all as read
+router.post('/read-all', notificationController.markAllRead);
+
+// POST /api/v1/notifications/:id/read - Mark one as read
+router.post('/:id/read', notificationController.markRead);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const reviewQueueController = require('../controllers/reviewQueueController');
+const router = express.Router();
+
+// Banker queue - GET /api/v1/review-queue?scope=mine|unassigned
+router.get('/', reviewQueueController.getQueue);
+
+// Claims on loans and KYC documents - /api/v1/review-queue/(loans|kyc)/:id/...
+router.post('/:entity/:id/claim', reviewQueueController.claim);
+router.post('/:entity/:id/release', reviewQueueController.release);
+
+// Supervisor reassignment
+router.post('/:entity/:id/assign', reviewQueueController.assign);
+
+module.exports = router;
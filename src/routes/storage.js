@@ -0,0 +1,15 @@
+const express = require('express');
+const storageController = require('../controllers/storageController');
+const router = express.Router();
+
+// Raw file bodies for signed uploads, capped at the KYC size limit
+const rawBody = express.raw({
+  type: () => true,
+  limit: parseInt(process.env.KYC_MAX_FILE_SIZE || '5242880'),
+});
+
+// Local document storage - /api/v1/storage/local/:key (signed URLs)
+router.put('/local/:key', rawBody, storageController.upload);
+router.get('/local/:key', storageController.download);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const userController = require('../controllers/userController');
+const router = express.Router();
+
+// Own profile - GET/PATCH /api/v1/users/me
+router.get('/me', userController.getProfile);
+router.patch('/me', userController.updateProfile);
+
+// POST /api/v1/users/me/change-password
+router.post('/me/change-password', userController.changePassword);
+
+module.exports = router;
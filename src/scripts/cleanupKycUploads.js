@@ -0,0 +1,82 @@
+require('dotenv').config();
+const kycUploadCleanupService = require('../services/kycUploadCleanupService');
+
+/**
+ * Expire abandoned KYC uploads on demand (the server also runs it every
+ * KYC_UPLOAD_CLEANUP_INTERVAL_MS).
+ *
+ *   npm run kyc:cleanup-uploads -- [--dry-run] [--older-than=<seconds>] [--limit=<n>] [--all] [--json]
+ *
+ * --all keeps running batches until nothing is left; --json prints the raw report(s).
+ */
+const USAGE = 'Usage: cleanupKycUploads.js [--dry-run] [--older-than=<seconds>] [--limit=<n>] [--all] [--json]';
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, all: false, json: false };
+
+  for (const arg of argv) {
+    const [name, value] = arg.split('=');
+
+    if (name === '--dry-run') {
+      options.dryRun = true;
+    } else if (name === '--all') {
+      options.all = true;
+    } else if (name === '--json') {
+      options.json = true;
+    } else if ((name === '--older-than' || name === '--limit') && /^\d+$/.test(value || '')) {
+      options[name === '--limit' ? 'limit' : 'olderThanSeconds'] = parseInt(value);
+    } else {
+      throw new Error(`Unknown or invalid option: ${arg}\n${USAGE}`);
+    }
+  }
+
+  return options;
+};
+
+const printReport = (report) => {
+  const verb = report.dryRun ? 'Would expire' : 'Expired';
+  console.log(`🧹 ${verb} ${report.expired.length} upload(s) requested before ${report.cutoff.toISOString()} (storage: ${report.storage})`);
+
+  for (const entry of report.expired) {
+    const asset = report.dryRun ? '' : entry.assetDeleted ? ' [file deleted]' : ' [no file]';
+    console.log(`   ${entry.kycDocId}  ${entry.type}  user ${entry.userId}  ${entry.publicId || '-'}${asset}`);
+  }
+  if (report.skipped.length > 0) {
+    console.log(`   Skipped ${report.skipped.length} completed meanwhile`);
+  }
+  for (const entry of report.failed) {
+    console.log(`❌ File not deleted for ${entry.kycDocId} (${entry.publicId}): ${entry.error}`);
+  }
+};
+
+const main = async () => {
+  const { all, json, ...options } = parseArgs(process.argv.slice(2));
+  const reports = [];
+
+  // A dry run changes nothing, so repeating it would list the same batch
+  let report;
+  do {
+    report = await kycUploadCleanupService.cleanupAbandonedUploads(options);
+    reports.push(report);
+    if (!json) {
+      printReport(report);
+    }
+  } while (all && !options.dryRun && report.hasMore && report.expired.length > 0);
+
+  if (json) {
+    console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+  } else if (report.hasMore) {
+    console.log(`More abandoned uploads remain (batch limit ${report.expired.length + report.skipped.length}).`);
+  }
+
+  if (reports.some(entry => entry.failed.length > 0)) {
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Cleanup failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
@@ -9,10 +9,29 @@ const healthRoutes = require('./routes/health');
 const authRoutes = require('./routes/auth'); // ✅ New import
 const loanRoutes = require('./routes/loan');
 const kycRoutes = require('./routes/kyc');
+const auditRoutes = require('./routes/audit');
+const loanProductRoutes = require('./routes/loanProduct');
+const notificationRoutes = require('./routes/notification');
+const reviewQueueRoutes = require('./routes/reviewQueue');
+const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/user');
+const merchantCustomerRoutes = require('./routes/merchantCustomer');
+const storageRoutes = require('./routes/storage');
+const notificationService = require('./services/notificationService');
+const assignmentService = require('./services/assignmentService');
+const outboxService = require('./services/outboxService');
+const idempotencyService = require('./services/idempotencyService');
+const kycUploadCleanupService = require('./services/kycUploadCleanupService');
+const { requestContext } = require('./middleware/requestContext');
+const { rateLimiters } = require('./middleware/rateLimit');
 const { loggerMiddleware } = require('./middleware/logger');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
+// Wire domain event subscribers
+notificationService.subscribeToDomainEvents();
+assignmentService.subscribeToDomainEvents();
+
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,6 +46,9 @@ app.use(cors({
   credentials: true 
 }));
 
+// Request ID + per-request context (used by audit logging)
+app.use(requestContext);
+
 // Logging middleware
 app.use(morgan('combined', {
   stream: { write: message => logger.info('Morgan', { message: message.trim() }) }
@@ -34,7 +56,11 @@ app.use(morgan('combined', {
 app.use(loggerMiddleware);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // API versioning prefix logging
@@ -42,16 +68,28 @@ app.use('/api/v1', (req, res, next) => {
   logger.info('API Request', { 
     method: req.method, 
     url: req.originalUrl, 
-    ip: req.ip 
+    ip: req.ip,
+    requestId: req.id
   });
   next();
 });
 
+// Rate limiting: global budget per user/IP, tighter limits for auth
+app.use('/api/v1', rateLimiters.global);
+
 // ✅ ROUTES - Add auth routes
 app.use('/api/v1/health', healthRoutes);
-app.use('/api/v1/auth', authRoutes); // ✅ New auth routes
+app.use('/api/v1/auth', rateLimiters.auth, authRoutes); // ✅ New auth routes
+app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/loan', loanRoutes);
+app.use('/api/v1/loan-products', loanProductRoutes);
 app.use('/api/v1/kyc', kycRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/review-queue', reviewQueueRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/merchant-customers', merchantCustomerRoutes);
+app.use('/api/v1/storage', storageRoutes);
 
 // Catch-all 404 for /api/v1 routes
 app.use('/api/v1', (req, res, next) => {
@@ -94,8 +132,20 @@ const startServer = async () => {
       console.log(`🔍 Logs: ./logs/combined.log`);
     });
 
+    // Deliver queued email/SMS/push notifications
+    outboxService.start();
+
+    // Drop expired idempotency keys
+    idempotencyService.start();
+
+    // Expire abandoned KYC uploads and delete their files
+    kycUploadCleanupService.start();
+
     process.on('SIGTERM', async () => {
       logger.info('Shutdown', { signal: 'SIGTERM' });
+      outboxService.stop();
+      idempotencyService.stop();
+      kycUploadCleanupService.stop();
       server.close(() => {
         logger.info('Server Closed');
         console.log('Process terminated');
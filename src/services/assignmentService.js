@@ -0,0 +1,441 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+// How long a claim holds before the item returns to the shared pool
+const CLAIM_TTL_MINUTES = parseInt(process.env.REVIEW_CLAIM_TTL_MINUTES || '240');
+// MANUAL (claim only), ROUND_ROBIN or LEAST_LOADED
+const ASSIGNMENT_STRATEGY = (process.env.REVIEW_ASSIGNMENT_STRATEGY || 'MANUAL').toUpperCase();
+
+/**
+ * Reviewable entities: Prisma delegate, statuses that can sit in a queue,
+ * and the prefix used for audit actions.
+ */
+const QUEUE_ENTITIES = {
+  LOAN: {
+    model: () => prisma.loan,
+    queueStatuses: ['PENDING', 'UNDER_REVIEW'],
+    actionPrefix: 'LOAN',
+    label: 'Loan',
+  },
+  KYC_DOCUMENT: {
+    model: () => prisma.kYCDocument,
+    queueStatuses: ['PENDING'],
+    actionPrefix: 'KYC',
+    label: 'KYC document',
+  },
+};
+
+class AssignmentService {
+  /**
+   * Whether a record is currently held by a banker
+   */
+  isClaimActive(record, now = new Date()) {
+    return Boolean(record.assignedBankerId && record.claimExpiresAt && record.claimExpiresAt > now);
+  }
+
+  /**
+   * Throw 409 if another banker holds an active claim on the record
+   */
+  assertCanAct(record, bankerId, label = 'Item') {
+    if (this.isClaimActive(record) && record.assignedBankerId !== bankerId) {
+      const error = new Error(`${label} is claimed by another banker`);
+      error.status = 409;
+      error.data = { assignedBankerId: record.assignedBankerId, claimExpiresAt: record.claimExpiresAt };
+      throw error;
+    }
+  }
+
+  /**
+   * Where-clause branches matching records a banker may claim or act on
+   */
+  claimableBy(bankerId, now = new Date()) {
+    return [
+      { assignedBankerId: null },
+      { assignedBankerId: bankerId },
+      { claimExpiresAt: null },
+      { claimExpiresAt: { lt: now } },
+    ];
+  }
+
+  /**
+   * Claim fields for a banker, starting now
+   */
+  claimData(bankerId) {
+    const now = new Date();
+    return {
+      assignedBankerId: bankerId,
+      assignedAt: now,
+      claimExpiresAt: new Date(now.getTime() + CLAIM_TTL_MINUTES * 60 * 1000),
+    };
+  }
+
+  /**
+   * Claim (or renew own claim on) a loan or KYC document
+   */
+  async claim(entityType, entityId, bankerId) {
+    const entity = this.getEntity(entityType);
+
+    try {
+      const { count } = await entity.model().updateMany({
+        where: {
+          id: entityId,
+          status: { in: entity.queueStatuses },
+          OR: this.claimableBy(bankerId),
+        },
+        data: this.claimData(bankerId),
+      });
+
+      if (count === 0) {
+        await this.explainClaimFailure(entity, entityId);
+      }
+
+      const record = await this.getQueueRecord(entity, entityId);
+
+      await auditService.record({
+        entityType,
+        entityId,
+        action: `${entity.actionPrefix}_CLAIMED`,
+        actorId: bankerId,
+        details: { claimExpiresAt: record.claimExpiresAt },
+      });
+
+      logger.info('Review Item Claimed', { entityType, entityId, bankerId });
+
+      return record;
+    } catch (error) {
+      logger.error('Claim Failed', { entityType, entityId, bankerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a claim. Only the holder may release unless `force` (supervisor).
+   */
+  async release(entityType, entityId, bankerId, { force = false } = {}) {
+    const entity = this.getEntity(entityType);
+
+    try {
+      const whereClause = { id: entityId };
+      if (!force) {
+        whereClause.assignedBankerId = bankerId;
+      }
+
+      const { count } = await entity.model().updateMany({
+        where: whereClause,
+        data: { assignedBankerId: null, assignedAt: null, claimExpiresAt: null },
+      });
+
+      if (count === 0) {
+        const error = new Error(`${entity.label} is not claimed by you`);
+        error.status = 409;
+        throw error;
+      }
+
+      await auditService.record({
+        entityType,
+        entityId,
+        action: `${entity.actionPrefix}_RELEASED`,
+        actorId: bankerId,
+        details: { force },
+      });
+
+      logger.info('Review Item Released', { entityType, entityId, bankerId, force });
+
+      return this.getQueueRecord(entity, entityId);
+    } catch (error) {
+      logger.error('Release Failed', { entityType, entityId, bankerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Release every open claim a banker holds (e.g. on suspension) and hand
+   * the items to the configured strategy. Returns released counts per entity.
+   */
+  async releaseAllForBanker(bankerId, actorId, reason) {
+    const released = {};
+
+    try {
+      for (const [entityType, entity] of Object.entries(QUEUE_ENTITIES)) {
+        const records = await entity.model().findMany({
+          where: { assignedBankerId: bankerId, status: { in: entity.queueStatuses } },
+          select: { id: true },
+        });
+        released[entityType] = 0;
+
+        for (const { id } of records) {
+          const { count } = await entity.model().updateMany({
+            where: { id, assignedBankerId: bankerId },
+            data: { assignedBankerId: null, assignedAt: null, claimExpiresAt: null },
+          });
+          if (count === 0) {
+            continue;
+          }
+          released[entityType] += 1;
+
+          await auditService.record({
+            entityType,
+            entityId: id,
+            action: `${entity.actionPrefix}_RELEASED`,
+            actorId,
+            details: { force: true, previousBankerId: bankerId, reason },
+          });
+
+          // Left in the shared pool if it can't be reassigned
+          await this.autoAssign(entityType, id).catch((error) => {
+            logger.warn('Auto Assignment Failed', { entityType, entityId: id, error: error.message });
+          });
+        }
+      }
+
+      logger.info('Banker Claims Released', { bankerId, actorId, reason, released });
+
+      return released;
+    } catch (error) {
+      logger.error('Release Banker Claims Failed', { bankerId, reason, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Assign or reassign to a specific banker (supervisor, or auto-assignment)
+   */
+  async assign(entityType, entityId, targetBankerId, actorId = null) {
+    const entity = this.getEntity(entityType);
+
+    try {
+      const banker = await prisma.user.findUnique({
+        where: { id: targetBankerId },
+        select: { id: true, role: true, status: true },
+      });
+
+      if (!banker || banker.role !== 'BANKER' || banker.status !== 'ACTIVE') {
+        const error = new Error('Assignee must be an active banker');
+        error.status = 400;
+        throw error;
+      }
+
+      const previous = await this.getQueueRecord(entity, entityId);
+
+      if (!entity.queueStatuses.includes(previous.status)) {
+        const error = new Error(`${entity.label} is ${previous.status} and no longer in the review queue`);
+        error.status = 409;
+        throw error;
+      }
+
+      await entity.model().update({
+        where: { id: entityId },
+        data: this.claimData(targetBankerId),
+      });
+      await prisma.user.update({
+        where: { id: targetBankerId },
+        data: { lastAssignedAt: new Date() },
+      });
+
+      const record = await this.getQueueRecord(entity, entityId);
+
+      await auditService.record({
+        entityType,
+        entityId,
+        action: previous.assignedBankerId
+          ? `${entity.actionPrefix}_REASSIGNED`
+          : `${entity.actionPrefix}_ASSIGNED`,
+        actorId,
+        details: {
+          auto: !actorId,
+          diff: auditService.diff(
+            { assignedBankerId: previous.assignedBankerId },
+            { assignedBankerId: targetBankerId }
+          ),
+        },
+      });
+
+      logger.info('Review Item Assigned', {
+        entityType,
+        entityId,
+        bankerId: targetBankerId,
+        assignedBy: actorId || 'AUTO'
+      });
+
+      return record;
+    } catch (error) {
+      logger.error('Assign Failed', { entityType, entityId, targetBankerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a new item using the configured strategy (no-op for MANUAL)
+   */
+  async autoAssign(entityType, entityId) {
+    if (ASSIGNMENT_STRATEGY === 'MANUAL') {
+      return null;
+    }
+
+    const bankerId = await this.pickBanker(ASSIGNMENT_STRATEGY);
+    if (!bankerId) {
+      logger.warn('Auto Assignment Skipped', { entityType, entityId, reason: 'No bankers available' });
+      return null;
+    }
+
+    return this.assign(entityType, entityId, bankerId);
+  }
+
+  /**
+   * ROUND_ROBIN: banker assigned least recently.
+   * LEAST_LOADED: fewest active claims, ties broken round-robin.
+   */
+  async pickBanker(strategy) {
+    const bankers = await prisma.user.findMany({
+      where: { role: 'BANKER', status: 'ACTIVE' },
+      select: { id: true, lastAssignedAt: true },
+      orderBy: [{ lastAssignedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+    });
+
+    if (bankers.length === 0) {
+      return null;
+    }
+
+    if (strategy !== 'LEAST_LOADED') {
+      return bankers[0].id;
+    }
+
+    const workload = await this.getWorkload();
+    // Stable sort keeps round-robin order among equally loaded bankers
+    return [...bankers]
+      .sort((a, b) => (workload[a.id] || 0) - (workload[b.id] || 0))[0].id;
+  }
+
+  /**
+   * Active claims per banker across loans and KYC documents
+   */
+  async getWorkload() {
+    const now = new Date();
+    const groups = await Promise.all(Object.values(QUEUE_ENTITIES).map(entity =>
+      entity.model().groupBy({
+        by: ['assignedBankerId'],
+        where: {
+          assignedBankerId: { not: null },
+          claimExpiresAt: { gt: now },
+          status: { in: entity.queueStatuses },
+        },
+        _count: { _all: true },
+      })
+    ));
+
+    return groups.flat().reduce((workload, group) => {
+      workload[group.assignedBankerId] = (workload[group.assignedBankerId] || 0) + group._count._all;
+      return workload;
+    }, {});
+  }
+
+  /**
+   * Items currently claimed by a banker, or unclaimed items in the pool
+   */
+  async getQueue(bankerId, scope = 'mine') {
+    try {
+      const now = new Date();
+      const claimScope = scope === 'mine'
+        ? { assignedBankerId: bankerId, claimExpiresAt: { gt: now } }
+        : { OR: [{ assignedBankerId: null }, { claimExpiresAt: null }, { claimExpiresAt: { lte: now } }] };
+
+      const [loans, kycDocuments] = await Promise.all([
+        prisma.loan.findMany({
+          where: { status: { in: QUEUE_ENTITIES.LOAN.queueStatuses }, ...claimScope },
+          include: {
+            applicant: { select: { id: true, name: true, role: true } },
+          },
+          orderBy: { createdAt: 'asc' },
+          take: 100,
+        }),
+        prisma.kYCDocument.findMany({
+          where: { status: { in: QUEUE_ENTITIES.KYC_DOCUMENT.queueStatuses }, ...claimScope },
+          include: {
+            user: { select: { id: true, name: true, role: true } },
+          },
+          // Files are only reachable through GET /kyc/:kycDocId/view
+          omit: { url: true, publicId: true },
+          orderBy: { createdAt: 'asc' },
+          take: 100,
+        }),
+      ]);
+
+      logger.info('Review Queue Retrieved', {
+        bankerId,
+        scope,
+        loans: loans.length,
+        kycDocuments: kycDocuments.length
+      });
+
+      return { loans, kycDocuments };
+    } catch (error) {
+      logger.error('Get Review Queue Failed', { bankerId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Auto-assign newly submitted loans and KYC documents
+   */
+  subscribeToDomainEvents() {
+    domainEvents.subscribe(DOMAIN_EVENTS.LOAN_SUBMITTED, ({ loanId }) => this.autoAssign('LOAN', loanId));
+    domainEvents.subscribe(DOMAIN_EVENTS.KYC_SUBMITTED, ({ kycDocId }) => this.autoAssign('KYC_DOCUMENT', kycDocId));
+
+    logger.info('Assignment Handlers Registered', { strategy: ASSIGNMENT_STRATEGY });
+  }
+
+  getEntity(entityType) {
+    const entity = QUEUE_ENTITIES[entityType];
+    if (!entity) {
+      const error = new Error(`Unsupported queue entity: ${entityType}`);
+      error.status = 400;
+      throw error;
+    }
+    return entity;
+  }
+
+  async getQueueRecord(entity, entityId) {
+    const record = await entity.model().findUnique({
+      where: { id: entityId },
+      select: {
+        id: true,
+        status: true,
+        assignedBankerId: true,
+        assignedAt: true,
+        claimExpiresAt: true,
+      },
+    });
+
+    if (!record) {
+      const error = new Error(`${entity.label} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return record;
+  }
+
+  /**
+   * Work out why a conditional claim matched nothing and throw accordingly
+   */
+  async explainClaimFailure(entity, entityId) {
+    const record = await this.getQueueRecord(entity, entityId);
+
+    if (!entity.queueStatuses.includes(record.status)) {
+      const error = new Error(`${entity.label} is ${record.status} and no longer in the review queue`);
+      error.status = 409;
+      throw error;
+    }
+
+    const error = new Error(`${entity.label} is already claimed by another banker`);
+    error.status = 409;
+    error.data = { claimExpiresAt: record.claimExpiresAt };
+    throw error;
+  }
+}
+
+module.exports = new AssignmentService();
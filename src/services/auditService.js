@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+const { logger } = require('../middleware/logger');
+const { getRequestContext } = require('../middleware/requestContext');
+
+const prisma = new PrismaClient();
+
+class AuditService {
+  /**
+   * Record an audit entry.
+   * Actor role, IP address and request ID default to the current request context.
+   */
+  async record({ entityType, entityId, action, actorId, actorRole, details = null }) {
+    const context = getRequestContext();
+
+    try {
+      const entry = await prisma.auditLog.create({
+        data: {
+          entityType,
+          entityId,
+          loanId: entityType === 'LOAN' ? entityId : null,
+          action,
+          actorId: actorId ?? context.userId ?? null,
+          actorRole: actorRole ?? context.role ?? null,
+          details: details ?? undefined,
+          ipAddress: context.ipAddress || null,
+          requestId: context.requestId || null,
+        },
+        select: { id: true },
+      });
+
+      logger.info('Audit Log Created', {
+        auditLogId: entry.id,
+        entityType,
+        entityId,
+        action,
+        actorId: actorId ?? context.userId,
+        requestId: context.requestId
+      });
+
+      return entry;
+    } catch (error) {
+      logger.error('Audit Log Creation Failed', {
+        entityType,
+        entityId,
+        action,
+        error: error.message
+      });
+      // Don't throw - audit logs shouldn't break main flow
+      return null;
+    }
+  }
+
+  /**
+   * Build a { field: { from, to } } diff for the fields that changed
+   */
+  diff(before = {}, after = {}) {
+    return Object.keys(after).reduce((changes, key) => {
+      const from = before[key] ?? null;
+      const to = after[key] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { from, to };
+      }
+      return changes;
+    }, {});
+  }
+
+  /**
+   * Query audit entries (Banker only)
+   */
+  async getAuditLogs(filters = {}) {
+    try {
+      const whereClause = {};
+
+      if (filters.entityType) {
+        whereClause.entityType = filters.entityType;
+      }
+      if (filters.entityId) {
+        whereClause.entityId = filters.entityId;
+      }
+      if (filters.actorId) {
+        whereClause.actorId = filters.actorId;
+      }
+      if (filters.action) {
+        whereClause.action = filters.action;
+      }
+      if (filters.startDate || filters.endDate) {
+        whereClause.createdAt = {};
+        if (filters.startDate) whereClause.createdAt.gte = new Date(filters.startDate);
+        if (filters.endDate) whereClause.createdAt.lte = new Date(filters.endDate);
+      }
+
+      const [entries, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where: whereClause,
+          orderBy: { createdAt: 'desc' },
+          skip: filters.offset || 0,
+          take: filters.limit || 50,
+        }),
+        prisma.auditLog.count({ where: whereClause }),
+      ]);
+
+      logger.info('Audit Logs Retrieved', {
+        count: entries.length,
+        total,
+        filters
+      });
+
+      return { entries, total };
+    } catch (error) {
+      logger.error('Get Audit Logs Failed', { error: error.message, filters });
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
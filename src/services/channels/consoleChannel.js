@@ -0,0 +1,21 @@
+const { logger } = require('../../middleware/logger');
+
+/**
+ * Development adapter: writes outbound messages to the application log.
+ */
+const consoleChannel = {
+  name: 'console',
+
+  async send(message) {
+    logger.info('Outbound Notification (console)', {
+      channel: message.channel,
+      recipient: message.recipient,
+      subject: message.subject,
+      body: message.body
+    });
+
+    return { providerMessageId: `console-${message.id}` };
+  },
+};
+
+module.exports = consoleChannel;
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../logs/outbound-notifications.log');
+
+/**
+ * Test/local adapter: appends each outbound message as a JSON line so
+ * tests and developers can inspect exactly what would have been sent.
+ */
+const fileChannel = {
+  name: 'file',
+
+  async send(message) {
+    const filePath = process.env.NOTIFICATION_FILE_PATH || DEFAULT_FILE;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { providerMessageId: `file-${message.id}` };
+  },
+};
+
+module.exports = fileChannel;
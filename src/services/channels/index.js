@@ -0,0 +1,35 @@
+const consoleChannel = require('./consoleChannel');
+const fileChannel = require('./fileChannel');
+const webhookChannel = require('./webhookChannel');
+
+/**
+ * Channel adapter interface:
+ *   { name: string, send(message) => Promise<{ providerMessageId }> }
+ * where message is { id, channel, recipient, subject, body, payload }.
+ * send() throws on failure; the outbox handles retry and backoff.
+ */
+const ADAPTERS = {
+  console: consoleChannel,
+  file: fileChannel,
+  webhook: webhookChannel,
+};
+
+const CHANNELS = ['EMAIL', 'SMS', 'PUSH'];
+
+/**
+ * Resolve the adapter for a channel from NOTIFICATION_<CHANNEL>_ADAPTER,
+ * falling back to NOTIFICATION_ADAPTER, then console.
+ */
+const getChannelAdapter = (channel) => {
+  const name = process.env[`NOTIFICATION_${channel}_ADAPTER`]
+    || process.env.NOTIFICATION_ADAPTER
+    || 'console';
+
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown notification adapter: ${name}`);
+  }
+  return adapter;
+};
+
+module.exports = { CHANNELS, getChannelAdapter };
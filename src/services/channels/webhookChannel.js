@@ -0,0 +1,36 @@
+/**
+ * Provider-agnostic adapter: POSTs the message as JSON to a per-channel
+ * endpoint (e.g. an email/SMS/push gateway), configured via
+ * NOTIFICATION_<CHANNEL>_WEBHOOK_URL and optional NOTIFICATION_WEBHOOK_TOKEN.
+ */
+const webhookChannel = {
+  name: 'webhook',
+
+  async send(message) {
+    const url = process.env[`NOTIFICATION_${message.channel}_WEBHOOK_URL`];
+    if (!url) {
+      throw new Error(`No webhook URL configured for ${message.channel} notifications`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.NOTIFICATION_WEBHOOK_TOKEN}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { providerMessageId: body.id || null };
+  },
+};
+
+module.exports = webhookChannel;
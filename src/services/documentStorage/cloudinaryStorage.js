@@ -0,0 +1,137 @@
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const FORMAT_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  pdf: 'application/pdf',
+};
+
+const CONTENT_TYPE_FORMATS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf',
+};
+
+// KYC files are uploaded as authenticated assets: no public delivery URL works
+const DELIVERY_TYPE = 'authenticated';
+
+// Cloudinary stores images and PDFs as "image"; anything else lands in "raw"
+const RESOURCE_TYPES = ['image', 'raw'];
+
+// Cloudinary accepts a signed upload for an hour after its timestamp
+const UPLOAD_SIGNATURE_TTL_SECONDS = 60 * 60;
+
+// Signed uploads include CLOUDINARY_KYC_FOLDER, which Cloudinary prefixes to the public ID
+const storedIdFor = (publicId) => {
+  const folder = process.env.CLOUDINARY_KYC_FOLDER;
+  return folder ? `${folder}/${publicId}` : publicId;
+};
+
+/**
+ * Direct browser uploads signed for Cloudinary's upload API, stored as
+ * authenticated assets; verification goes through the Cloudinary Admin API
+ * and viewing through expiring private download URLs.
+ */
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  async createUpload(publicId) {
+    const timestamp = Math.round(Date.now() / 1000);
+    const folder = process.env.CLOUDINARY_KYC_FOLDER;
+    const signature = cloudinary.utils.api_sign_request(
+      {
+        timestamp,
+        public_id: publicId,
+        folder, // Include folder in signature
+        type: DELIVERY_TYPE,
+      },
+      process.env.CLOUDINARY_API_SECRET
+    );
+
+    return {
+      method: 'POST',
+      uploadUrl: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/auto/upload`,
+      signature,
+      timestamp,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      folder,
+      type: DELIVERY_TYPE,
+      expiresAt: new Date((timestamp + UPLOAD_SIGNATURE_TTL_SECONDS) * 1000),
+    };
+  },
+
+  async getAsset(publicId) {
+    const storedId = storedIdFor(publicId);
+
+    for (const resourceType of RESOURCE_TYPES) {
+      try {
+        const resource = await cloudinary.api.resource(storedId, {
+          resource_type: resourceType,
+          type: DELIVERY_TYPE,
+        });
+        const format = (resource.format || storedId.split('.').pop() || '').toLowerCase();
+
+        return {
+          publicId,
+          bytes: resource.bytes,
+          contentType: FORMAT_CONTENT_TYPES[format] || 'application/octet-stream',
+          url: resource.secure_url,
+        };
+      } catch (error) {
+        const httpCode = error.error?.http_code || error.http_code;
+        if (httpCode !== 404) {
+          throw new Error(`Cloudinary lookup failed: ${error.error?.message || error.message}`);
+        }
+      }
+    }
+
+    return null;
+  },
+
+  async getDownloadUrl(publicId, { expiresInSeconds, contentType }) {
+    return cloudinary.utils.private_download_url(
+      storedIdFor(publicId),
+      CONTENT_TYPE_FORMATS[contentType] || '',
+      {
+        resource_type: 'image',
+        type: DELIVERY_TYPE,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      }
+    );
+  },
+
+  async deleteAsset(publicId) {
+    const storedId = storedIdFor(publicId);
+
+    for (const resourceType of RESOURCE_TYPES) {
+      let response;
+      try {
+        response = await cloudinary.uploader.destroy(storedId, {
+          resource_type: resourceType,
+          type: DELIVERY_TYPE,
+          invalidate: true,
+        });
+      } catch (error) {
+        throw new Error(`Cloudinary delete failed: ${error.error?.message || error.message}`);
+      }
+
+      if (response.result === 'ok') {
+        return true;
+      }
+      if (response.result !== 'not found') {
+        throw new Error(`Cloudinary delete failed: ${response.result}`);
+      }
+    }
+
+    return false;
+  },
+};
+
+module.exports = cloudinaryStorage;
@@ -0,0 +1,45 @@
+const cloudinaryStorage = require('./cloudinaryStorage');
+const localDiskStorage = require('./localDiskStorage');
+const s3Storage = require('./s3Storage');
+const stubStorage = require('./stubStorage');
+
+/**
+ * DocumentStorage interface (all methods async):
+ *   name
+ *   createUpload(publicId, { expiresInSeconds })
+ *     => { method, uploadUrl, expiresAt, ...provider fields (headers, signature, ...) }
+ *   getAsset(publicId, reported)
+ *     => { publicId, bytes, contentType, url } as stored, or null when missing.
+ *        `reported` is the client's { fileSize, contentType } (only the stub uses it).
+ *        Throws when the provider cannot be reached.
+ *   getDownloadUrl(publicId, { expiresInSeconds, contentType })
+ *     => signed URL the file can be fetched from until it expires
+ *   deleteAsset(publicId)
+ *     => true once the file is gone, false when it did not exist
+ *        (providers that cannot tell report true). Throws on provider errors.
+ * Stored files are never publicly readable; S3 buckets must be private.
+ */
+const ADAPTERS = {
+  cloudinary: cloudinaryStorage,
+  local: localDiskStorage,
+  s3: s3Storage,
+  stub: stubStorage,
+};
+
+/**
+ * Resolve the adapter named by DOCUMENT_STORAGE (default cloudinary)
+ */
+const getDocumentStorage = () => {
+  const name = process.env.DOCUMENT_STORAGE || 'cloudinary';
+
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown document storage: ${name}`);
+  }
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub document storage cannot be used in production');
+  }
+  return adapter;
+};
+
+module.exports = { getDocumentStorage };
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { detectContentType, SNIFF_BYTES } = require('../../utils/fileType');
+
+const ROOT_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage');
+
+// Upload and download URLs point at this API's /storage/local routes
+const baseUrl = () => process.env.LOCAL_STORAGE_BASE_URL
+  || `http://localhost:${process.env.PORT || 3000}/api/v1/storage/local`;
+
+const signingSecret = () => process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET;
+
+// Public IDs contain slashes, so they travel as a single base64url segment
+const encodeKey = (publicId) => Buffer.from(publicId, 'utf8').toString('base64url');
+const decodeKey = (key) => Buffer.from(key, 'base64url').toString('utf8');
+
+const sign = (action, publicId, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${action}\n${publicId}\n${expires}`)
+  .digest('hex');
+
+const signedUrl = (action, publicId, expiresInSeconds) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const signature = sign(action, publicId, expires);
+  return {
+    url: `${baseUrl()}/${encodeKey(publicId)}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Absolute path for a public ID, refusing anything outside the storage root
+ */
+const filePath = (publicId) => {
+  const resolved = path.resolve(ROOT_DIR, ...publicId.split('/'));
+  if (!resolved.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error('Invalid document key');
+  }
+  return resolved;
+};
+
+const statOrNull = async (file) => {
+  try {
+    return await fs.stat(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Files on local disk (LOCAL_STORAGE_DIR, default ./storage), uploaded and
+ * downloaded through this API with HMAC-signed, expiring URLs. Meant for
+ * offline development and single-node deployments.
+ */
+const localDiskStorage = {
+  name: 'local',
+
+  async createUpload(publicId, { expiresInSeconds }) {
+    const { url, expiresAt } = signedUrl('upload', publicId, expiresInSeconds);
+    return {
+      method: 'PUT',
+      uploadUrl: url,
+      headers: {},
+      expiresAt,
+    };
+  },
+
+  async getAsset(publicId) {
+    const file = filePath(publicId);
+    const stats = await statOrNull(file);
+    if (!stats) {
+      return null;
+    }
+
+    const handle = await fs.open(file, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      return {
+        publicId,
+        bytes: stats.size,
+        contentType: detectContentType(buffer.subarray(0, bytesRead)),
+        url: `local://${publicId}`,
+      };
+    } finally {
+      await handle.close();
+    }
+  },
+
+  async getDownloadUrl(publicId, { expiresInSeconds }) {
+    return signedUrl('download', publicId, expiresInSeconds).url;
+  },
+
+  async deleteAsset(publicId) {
+    try {
+      await fs.unlink(filePath(publicId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve a signed URL's key; null unless the signature is valid and unexpired
+   */
+  verifySignedKey(action, key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!key || !signature || !Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) {
+      return null;
+    }
+
+    const publicId = decodeKey(key);
+    const expected = Buffer.from(sign(action, publicId, expiresAt), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    return publicId;
+  },
+
+  /**
+   * Store an upload. Each upload URL writes once: an existing file is kept.
+   * Returns false when the file already exists.
+   */
+  async writeAsset(publicId, data) {
+    const file = filePath(publicId);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    try {
+      await fs.writeFile(file, data, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * File contents and detected type, or null when missing
+   */
+  async readAsset(publicId) {
+    const file = filePath(publicId);
+    if (!(await statOrNull(file))) {
+      return null;
+    }
+
+    const data = await fs.readFile(file);
+    return { data, contentType: detectContentType(data.subarray(0, SNIFF_BYTES)) };
+  },
+};
+
+module.exports = localDiskStorage;
@@ -0,0 +1,96 @@
+const { presign } = require('../../utils/s3Signer');
+const { detectContentType, SNIFF_BYTES } = require('../../utils/fileType');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * S3_ENDPOINT is set for MinIO and other S3-compatible services (path-style
+ * URLs); leave it unset for AWS S3.
+ */
+const config = () => ({
+  endpoint: process.env.S3_ENDPOINT || null,
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+});
+
+const objectKey = (publicId) => `${process.env.S3_KEY_PREFIX || ''}${publicId}`;
+
+/**
+ * Objects in an S3-compatible bucket. Clients upload with a presigned PUT;
+ * verification reads the first bytes with a ranged GET to learn the real
+ * size and content type.
+ */
+const s3Storage = {
+  name: 's3',
+
+  async createUpload(publicId, { expiresInSeconds }) {
+    return {
+      method: 'PUT',
+      uploadUrl: presign(config(), { method: 'PUT', key: objectKey(publicId), expiresInSeconds }),
+      headers: {},
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    };
+  },
+
+  async getAsset(publicId) {
+    const settings = config();
+    const key = objectKey(publicId);
+    const url = presign(settings, { method: 'GET', key, expiresInSeconds: 60 });
+
+    const response = await fetch(url, {
+      headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    // An empty object can't satisfy the range
+    if (response.status === 416) {
+      return { publicId, bytes: 0, contentType: 'application/octet-stream', url: `s3://${settings.bucket}/${key}` };
+    }
+    if (!response.ok) {
+      throw new Error(`S3 responded with ${response.status}`);
+    }
+
+    const head = Buffer.from(await response.arrayBuffer());
+    // "bytes 0-15/12345" on a partial response, otherwise the whole object was sent
+    const range = response.headers.get('content-range');
+    const bytes = range
+      ? parseInt(range.split('/')[1])
+      : parseInt(response.headers.get('content-length') || head.length);
+
+    return {
+      publicId,
+      bytes,
+      contentType: detectContentType(head),
+      url: `s3://${settings.bucket}/${key}`,
+    };
+  },
+
+  async getDownloadUrl(publicId, { expiresInSeconds }) {
+    return presign(config(), { method: 'GET', key: objectKey(publicId), expiresInSeconds });
+  },
+
+  // S3 answers 204 whether or not the object existed
+  async deleteAsset(publicId) {
+    const url = presign(config(), { method: 'DELETE', key: objectKey(publicId), expiresInSeconds: 60 });
+
+    const response = await fetch(url, {
+      method: 'DELETE',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 responded with ${response.status}`);
+    }
+    return true;
+  },
+};
+
+module.exports = s3Storage;
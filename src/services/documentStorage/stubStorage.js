@@ -0,0 +1,36 @@
+/**
+ * Local development stand-in for a real provider: uploads go nowhere and
+ * every asset exists and matches what the client reported. Refused when
+ * NODE_ENV=production; use the local adapter to store real files offline.
+ */
+const stubStorage = {
+  name: 'stub',
+
+  async createUpload(publicId, { expiresInSeconds }) {
+    return {
+      method: 'PUT',
+      uploadUrl: `stub://kyc/${publicId}`,
+      headers: {},
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    };
+  },
+
+  async getAsset(publicId, reported = {}) {
+    return {
+      publicId,
+      bytes: reported.fileSize,
+      contentType: reported.contentType,
+      url: `stub://kyc/${publicId}`,
+    };
+  },
+
+  async getDownloadUrl(publicId) {
+    return `stub://kyc/${publicId}`;
+  },
+
+  async deleteAsset() {
+    return true;
+  },
+};
+
+module.exports = stubStorage;
@@ -0,0 +1,149 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+// A request still IN_PROGRESS after this long is assumed lost (crash, hung handler)
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '120');
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+class IdempotencyService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Fingerprint of the request a key was first used with
+   */
+  hashRequest(method, path, body) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n`)
+      .update(body)
+      .digest('hex');
+  }
+
+  /**
+   * Reserve a key for a request.
+   * Returns { state: 'NEW', record } when the caller should process the request,
+   * or { state: 'REPLAY', record } with a completed response to send back.
+   * Throws 422 for a different payload and 409 while the first request is running
+   * (until its lease runs out).
+   */
+  async begin({ scope, key, method, path, requestHash }) {
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          scope,
+          key,
+          method,
+          path,
+          requestHash,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+        },
+      });
+
+      return { state: 'NEW', record };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        logger.error('Idempotency Key Reservation Failed', { scope, key, error: error.message });
+        throw error;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+      where: { scope_key: { scope, key } },
+    });
+
+    // Expired (or released in the meantime): start over
+    if (!existing || existing.expiresAt <= new Date()) {
+      if (existing) {
+        await prisma.idempotencyKey.deleteMany({ where: { id: existing.id } });
+      }
+      return this.begin({ scope, key, method, path, requestHash });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      const error = new Error('Idempotency-Key was already used with a different request');
+      error.status = 422;
+      throw error;
+    }
+
+    if (existing.status === 'IN_PROGRESS') {
+      const leaseEndsAt = existing.createdAt.getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000;
+      if (leaseEndsAt <= Date.now()) {
+        await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, status: 'IN_PROGRESS' } });
+        logger.warn('Stale Idempotency Key Reclaimed', { scope, key, path });
+        return this.begin({ scope, key, method, path, requestHash });
+      }
+
+      const error = new Error('A request with this Idempotency-Key is still being processed');
+      error.status = 409;
+      throw error;
+    }
+
+    logger.info('Idempotent Request Replayed', { scope, key, path });
+
+    return { state: 'REPLAY', record: existing };
+  }
+
+  /**
+   * Store the response so repeats of the key get the same answer
+   */
+  async complete(recordId, responseStatus, responseBody) {
+    await prisma.idempotencyKey.update({
+      where: { id: recordId },
+      data: {
+        status: 'COMPLETED',
+        responseStatus,
+        responseBody: responseBody ?? undefined,
+      },
+    });
+  }
+
+  /**
+   * Drop the reservation (server error or throttled) so the client can retry
+   */
+  async release(recordId) {
+    await prisma.idempotencyKey.deleteMany({ where: { id: recordId } });
+  }
+
+  async purgeExpired() {
+    const { count } = await prisma.idempotencyKey.deleteMany({
+      where: { expiresAt: { lte: new Date() } },
+    });
+
+    if (count > 0) {
+      logger.info('Expired Idempotency Keys Purged', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Purge expired keys periodically in-process
+   */
+  start(intervalMs = PURGE_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.error('Idempotency Key Purge Failed', { error: error.message });
+      });
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -1,20 +1,44 @@
 const { PrismaClient } = require('@prisma/client');
-const cloudinary = require('cloudinary').v2;
 const { v4: uuidv4 } = require('uuid');
+const auditService = require('./auditService');
+const loanProductService = require('./loanProductService');
+const assignmentService = require('./assignmentService');
+const { getDocumentStorage } = require('./documentStorage');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+const { buildCursorQuery, buildPage } = require('../utils/pagination');
 const { logger } = require('../middleware/logger');
 
 const prisma = new PrismaClient();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Loan stages at which verified KYC is enforced: APPLY, APPROVAL (or NONE)
+const KYC_GATE_STAGES = (process.env.KYC_GATE_STAGES || 'APPLY,APPROVAL')
+  .split(',')
+  .map(stage => stage.trim().toUpperCase());
+
+const MAX_FILE_SIZE = parseInt(process.env.KYC_MAX_FILE_SIZE || '5242880');
+const ALLOWED_CONTENT_TYPES = (process.env.KYC_ALLOWED_TYPES || 'image/jpeg,image/png,application/pdf').split(',');
+
+// Lifetime of signed upload and download URLs (providers may cap these)
+const UPLOAD_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_UPLOAD_URL_TTL_SECONDS || '900');
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_DOWNLOAD_URL_TTL_SECONDS || '300');
+
+// Rejection reason codes and the explanation shown to the user
+const REJECTION_REASONS = {
+  ILLEGIBLE: 'The document is blurry or unreadable',
+  EXPIRED: 'The document has expired',
+  NAME_MISMATCH: 'The name does not match your account',
+  INCOMPLETE: 'Part of the document is missing or cropped',
+  WRONG_DOCUMENT: 'This is not the requested document type',
+  SUSPECTED_TAMPERING: 'The document appears to have been altered',
+  OTHER: 'The document could not be accepted',
+};
+
+// Newest completed version first; drafts (no version) last
+const VERSION_ORDER = [{ version: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }];
 
 class KYCService {
   /**
-   * Generate pre-signed URL for document upload to Cloudinary
+   * Generate a signed upload URL with the configured document storage
    */
   async generateUploadUrl(userId, docType) {
   try {
@@ -25,38 +49,30 @@ class KYCService {
       throw error;
     }
 
+    await this.assertCanSubmitVersion(prisma, userId, docType);
+
     // Create unique public ID
     const publicId = `${userId}/${docType}/${uuidv4()}-${Date.now()}`;
-    
-    // Generate Cloudinary signature for secure upload
-    const timestamp = Math.round(new Date().getTime() / 1000);
-    const signature = cloudinary.utils.api_sign_request(
-      {
-        timestamp,
-        public_id: publicId,
-        folder: process.env.CLOUDINARY_KYC_FOLDER, // Include folder in signature
-      },
-      process.env.CLOUDINARY_API_SECRET
-    );
+
+    const storage = getDocumentStorage();
+    const upload = await storage.createUpload(publicId, { expiresInSeconds: UPLOAD_URL_TTL_SECONDS });
 
     // Create KYC record (pending upload)
     const kycDoc = await this.createKYCDocument(userId, docType, 'UPLOADING', publicId);
 
-    logger.info('Cloudinary Upload URL Generated', { 
+    logger.info('Document Upload URL Generated', { 
       userId, 
       docType, 
       kycDocId: kycDoc.id, 
-      publicId 
+      publicId,
+      storage: storage.name
     });
 
     return {
-      uploadUrl: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/auto/upload`,
       kycDocId: kycDoc.id,
       publicId,
-      signature,
-      timestamp,
-      apiKey: process.env.CLOUDINARY_API_KEY,
-      folder: process.env.CLOUDINARY_KYC_FOLDER,
+      storage: storage.name,
+      ...upload,
       instructions: `Upload your ${this.getDocTypeName(docType)} (Max 5MB, JPG/PNG/PDF)`,
     };
   } catch (error) {
@@ -77,14 +93,15 @@ class KYCService {
       const kycDoc = await prisma.kYCDocument.create({
         data: {
           type,
-          url: publicId ? `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/${publicId}` : null,
+          // Set from the stored asset once the upload is verified
+          url: null,
+          publicId,
           status,
           userId,
         },
         select: {
           id: true,
           type: true,
-          url: true,
           status: true,
           userId: true,
           createdAt: true,
@@ -110,43 +127,146 @@ class KYCService {
   }
 
   /**
-   * Complete document upload (update metadata)
+   * Complete document upload once the file is in storage.
+   * The document must be the caller's, still UPLOADING, and completed with the
+   * publicId issued for it; the reported size and type are checked against
+   * the stored asset before the document moves to PENDING. The upload becomes
+   * the next version of its slot and supersedes the rejected one before it.
    */
-  async completeUpload(kycDocId, publicId, fileSize, contentType) {
+  async completeUpload(kycDocId, userId, publicId, fileSize, contentType) {
     try {
-      // Validate file
-      if (fileSize > parseInt(process.env.KYC_MAX_FILE_SIZE || '5242880')) {
-        const error = new Error('File size exceeds 5MB limit');
-        error.status = 413;
+      const existing = await prisma.kYCDocument.findUnique({
+        where: { id: kycDocId },
+        select: { id: true, userId: true, type: true, status: true, publicId: true },
+      });
+
+      if (!existing || existing.userId !== userId) {
+        const error = new Error('KYC document not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (existing.status !== 'UPLOADING') {
+        const error = new Error(`KYC document is ${existing.status.toLowerCase()}, not awaiting an upload`);
+        error.status = 409;
         throw error;
       }
 
-      const allowedTypes = (process.env.KYC_ALLOWED_TYPES || 'image/jpeg,image/png,application/pdf').split(',');
-      if (!allowedTypes.includes(contentType)) {
-        const error = new Error('Invalid file type. Only JPG, PNG, PDF allowed');
-        error.status = 415;
+      if (!existing.publicId || existing.publicId !== publicId) {
+        const error = new Error('Public ID does not match the one issued for this document');
+        error.status = 400;
+        throw error;
+      }
+
+      // Reject obviously invalid claims before asking storage
+      this.assertFileAcceptable(fileSize, contentType);
+
+      const asset = await this.fetchStoredAsset(publicId, { fileSize, contentType });
+
+      // The stored asset is authoritative
+      this.assertFileAcceptable(asset.bytes, asset.contentType);
+
+      if (asset.bytes !== fileSize || asset.contentType !== contentType) {
+        const error = new Error('Uploaded file does not match the reported size or type');
+        error.status = 422;
+        error.data = {
+          reported: { fileSize, contentType },
+          stored: { fileSize: asset.bytes, contentType: asset.contentType },
+        };
         throw error;
       }
 
-      // Update KYC document
-      const kycDoc = await prisma.kYCDocument.update({
+      const { version, supersededId } = await prisma.$transaction(async (tx) => {
+        const current = await this.assertCanSubmitVersion(tx, userId, existing.type);
+        const completedVersions = await tx.kYCDocument.count({
+          where: { userId, type: existing.type, status: { not: 'UPLOADING' } },
+        });
+
+        // Conditional update so a concurrent completion can't run twice
+        const { count } = await tx.kYCDocument.updateMany({
+          where: { id: kycDocId, userId, status: 'UPLOADING' },
+          data: {
+            url: asset.url,
+            fileSize: asset.bytes,
+            contentType: asset.contentType,
+            uploadedAt: new Date(),
+            status: 'PENDING',
+            version: completedVersions + 1,
+            verifiedBy: null,
+          },
+        });
+
+        if (count === 0) {
+          const error = new Error('KYC document changed concurrently, please retry');
+          error.status = 409;
+          throw error;
+        }
+
+        // The rejected version (and any older unversioned rows) step aside
+        const supersededAt = new Date();
+        if (current) {
+          await tx.kYCDocument.update({
+            where: { id: current.id },
+            data: { supersededAt, supersededById: kycDocId },
+          });
+        }
+        await tx.kYCDocument.updateMany({
+          where: {
+            userId,
+            type: existing.type,
+            supersededAt: null,
+            status: { not: 'UPLOADING' },
+            id: { not: kycDocId },
+          },
+          data: { supersededAt },
+        });
+
+        return { version: completedVersions + 1, supersededId: current?.id || null };
+      }).catch((error) => {
+        // Two uploads for the same slot completed at once
+        if (error.code === 'P2002') {
+          const conflict = new Error('Another version of this document was just submitted');
+          conflict.status = 409;
+          throw conflict;
+        }
+        throw error;
+      });
+
+      const kycDoc = await prisma.kYCDocument.findUnique({
         where: { id: kycDocId },
-        data: {
-          url: `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/${publicId}`,
-          status: 'PENDING',
-          verifiedBy: null,
-        },
         select: {
           id: true,
           type: true,
-          url: true,
           status: true,
           userId: true,
+          version: true,
+          fileSize: true,
+          contentType: true,
+          uploadedAt: true,
         },
       });
 
-      // Create audit log
-      await this.createKYCAuditLog(kycDocId, 'DOCUMENT_UPLOADED', null, `File uploaded: ${fileSize} bytes, ${contentType}`);
+      // Create audit log (actor comes from the request context)
+      await auditService.record({
+        entityType: 'KYC_DOCUMENT',
+        entityId: kycDocId,
+        action: 'KYC_DOCUMENT_UPLOADED',
+        details: {
+          publicId,
+          fileSize,
+          contentType,
+          storage: getDocumentStorage().name,
+          version,
+          supersededId,
+          diff: { status: { from: 'UPLOADING', to: kycDoc.status } },
+        },
+      });
+
+      await domainEvents.publish(DOMAIN_EVENTS.KYC_SUBMITTED, {
+        kycDocId,
+        userId: kycDoc.userId,
+        docType: kycDoc.type,
+      });
 
       logger.info('KYC Upload Completed', { 
         kycDocId, 
@@ -167,34 +287,297 @@ class KYCService {
   }
 
   /**
-   * Get KYC documents for user
+   * Throw unless a file's size and content type are allowed for KYC
    */
-  async getUserKYCDocuments(userId, status = null) {
+  assertFileAcceptable(fileSize, contentType) {
+    if (fileSize > MAX_FILE_SIZE) {
+      const error = new Error('File size exceeds 5MB limit');
+      error.status = 413;
+      throw error;
+    }
+
+    if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+      const error = new Error('Invalid file type. Only JPG, PNG, PDF allowed');
+      error.status = 415;
+      throw error;
+    }
+  }
+
+  /**
+   * Look the upload up in document storage (422 when it isn't there)
+   */
+  async fetchStoredAsset(publicId, reported) {
+    let asset;
+    try {
+      asset = await getDocumentStorage().getAsset(publicId, reported);
+    } catch (error) {
+      logger.error('Document Storage Lookup Failed', { publicId, error: error.message });
+      const storageError = new Error('Could not confirm the upload with document storage, please retry');
+      storageError.status = 502;
+      throw storageError;
+    }
+
+    if (!asset) {
+      const error = new Error('Uploaded file was not found in storage');
+      error.status = 422;
+      throw error;
+    }
+
+    return asset;
+  }
+
+  /**
+   * Bankers may view a document assigned to or claimed by them; supervisors
+   * may view any. Read from the database so revoking the flag takes effect.
+   */
+  async canBankerView(document, bankerId) {
+    if (document.assignedBankerId === bankerId) {
+      return true;
+    }
+
+    const banker = await prisma.user.findUnique({
+      where: { id: bankerId },
+      select: { isSupervisor: true },
+    });
+    return Boolean(banker?.isSupervisor);
+  }
+
+  /**
+   * Mint a short-lived signed URL to view a document.
+   * Only the owner, its assigned banker or a supervisor may view it; the
+   * access is audited before the URL is issued.
+   */
+  async createViewUrl(kycDocId, viewerId, viewerRole) {
     try {
-      const whereClause = { userId };
-      if (status) {
-        whereClause.status = status;
+      const document = await prisma.kYCDocument.findUnique({
+        where: { id: kycDocId },
+        select: {
+          id: true,
+          type: true,
+          userId: true,
+          status: true,
+          publicId: true,
+          contentType: true,
+          fileSize: true,
+          assignedBankerId: true,
+        },
+      });
+
+      // Don't reveal other users' documents
+      const canView = document && (document.userId === viewerId
+        || (viewerRole === 'BANKER' && await this.canBankerView(document, viewerId)));
+      if (!canView) {
+        const error = new Error('KYC document not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (document.status === 'UPLOADING') {
+        const error = new Error('KYC document has not been uploaded yet');
+        error.status = 409;
+        throw error;
       }
 
-      const documents = await prisma.kYCDocument.findMany({
-        where: whereClause,
+      // Older documents only have a public link, which is no longer handed out
+      if (!document.publicId) {
+        const error = new Error('This document was stored before private storage; please upload it again');
+        error.status = 409;
+        throw error;
+      }
+
+      const storage = getDocumentStorage();
+      const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000);
+
+      // No URL is issued unless the access is on record
+      const auditEntry = await auditService.record({
+        entityType: 'KYC_DOCUMENT',
+        entityId: kycDocId,
+        action: 'KYC_DOCUMENT_VIEWED',
+        actorId: viewerId,
+        details: {
+          ownerId: document.userId,
+          docType: document.type,
+          storage: storage.name,
+          expiresAt,
+        },
+      });
+      if (!auditEntry) {
+        const error = new Error('Document access could not be recorded, please try again');
+        error.status = 503;
+        throw error;
+      }
+
+      const url = await storage.getDownloadUrl(document.publicId, {
+        expiresInSeconds: DOWNLOAD_URL_TTL_SECONDS,
+        contentType: document.contentType,
+      });
+
+      logger.info('KYC Document View URL Issued', {
+        kycDocId,
+        viewerId,
+        viewerRole,
+        ownerId: document.userId,
+        expiresAt
+      });
+
+      return {
+        kycDocId,
+        url,
+        expiresAt,
+        contentType: document.contentType,
+        fileSize: document.fileSize,
+      };
+    } catch (error) {
+      logger.error('KYC Document View Failed', { kycDocId, viewerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Current version of a document slot: the newest completed version that
+   * hasn't been superseded (null when nothing was submitted yet)
+   */
+  async getCurrentVersion(client, userId, docType) {
+    return client.kYCDocument.findFirst({
+      where: { userId, type: docType, supersededAt: null, status: { not: 'UPLOADING' } },
+      orderBy: VERSION_ORDER,
+      select: { id: true, status: true, version: true },
+    });
+  }
+
+  /**
+   * A new version may only replace a rejected one. Returns the current version.
+   * `client` is prisma or a transaction.
+   */
+  async assertCanSubmitVersion(client, userId, docType) {
+    const current = await this.getCurrentVersion(client, userId, docType);
+
+    if (current && current.status !== 'REJECTED') {
+      const error = new Error(current.status === 'VERIFIED'
+        ? `Your ${this.getDocTypeName(docType)} is already verified`
+        : `Your ${this.getDocTypeName(docType)} is awaiting review`);
+      error.status = 409;
+      error.data = { kycDocId: current.id, status: current.status, version: current.version };
+      throw error;
+    }
+
+    return current;
+  }
+
+  /**
+   * Latest version per document type: the current version of each slot, or
+   * the newest draft when nothing has been submitted for that type
+   */
+  pickLatestVersions(documents) {
+    const rank = doc => [
+      doc.status !== 'UPLOADING' && !doc.supersededAt ? 1 : 0,
+      doc.version || 0,
+      new Date(doc.createdAt || 0).getTime(),
+    ];
+    const isNewer = (a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)];
+      const index = rankA.findIndex((value, i) => value !== rankB[i]);
+      return index !== -1 && rankA[index] > rankB[index];
+    };
+
+    const latest = documents.reduce((map, doc) => {
+      if (!map[doc.type] || isNewer(doc, map[doc.type])) {
+        map[doc.type] = doc;
+      }
+      return map;
+    }, {});
+
+    return Object.values(latest);
+  }
+
+  /**
+   * User-facing rejection details for a document
+   */
+  describeRejection(doc) {
+    if (doc.status !== 'REJECTED') {
+      return null;
+    }
+    return {
+      code: doc.rejectionReason || 'OTHER',
+      reason: REJECTION_REASONS[doc.rejectionReason] || REJECTION_REASONS.OTHER,
+      notes: doc.reviewNotes || null,
+    };
+  }
+
+  /**
+   * Every submitted version of one document type, newest first
+   */
+  async getDocumentHistory(userId, docType) {
+    try {
+      const versions = await prisma.kYCDocument.findMany({
+        where: { userId, type: docType, status: { not: 'UPLOADING' } },
+        orderBy: VERSION_ORDER,
+        select: {
+          id: true,
+          type: true,
+          version: true,
+          status: true,
+          rejectionReason: true,
+          reviewNotes: true,
+          uploadedAt: true,
+          supersededAt: true,
+          supersededById: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      });
+
+      return versions.map(({ rejectionReason, reviewNotes, ...doc }) => ({
+        ...doc,
+        isCurrent: !doc.supersededAt,
+        rejection: this.describeRejection({ ...doc, rejectionReason, reviewNotes }),
+      }));
+    } catch (error) {
+      logger.error('Get KYC History Failed', { userId, docType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest version of each of a user's KYC documents
+   * (optionally only those whose latest version has `status`)
+   */
+  async getUserKYCDocuments(userId, status = null) {
+    try {
+      const allVersions = await prisma.kYCDocument.findMany({
+        where: { userId },
         orderBy: { createdAt: 'desc' },
         select: {
           id: true,
           type: true,
-          url: true,
+          version: true,
           status: true,
+          supersededAt: true,
+          rejectionReason: true,
+          reviewNotes: true,
           createdAt: true,
           verifiedBy: true,
         },
       });
 
-      // Enrich with document type names
-      const enrichedDocs = documents.map(doc => ({
+      const versionCounts = allVersions.reduce((counts, doc) => {
+        if (doc.status !== 'UPLOADING') {
+          counts[doc.type] = (counts[doc.type] || 0) + 1;
+        }
+        return counts;
+      }, {});
+
+      const documents = this.pickLatestVersions(allVersions)
+        .filter(doc => !status || doc.status === status);
+
+      // Enrich with document type names and rejection details
+      const enrichedDocs = documents.map(({ supersededAt, rejectionReason, reviewNotes, ...doc }) => ({
         ...doc,
+        versionCount: versionCounts[doc.type] || 0,
         docTypeName: this.getDocTypeName(doc.type),
         isPending: doc.status === 'PENDING',
         needsResubmission: doc.status === 'REJECTED',
+        rejection: this.describeRejection({ ...doc, rejectionReason, reviewNotes }),
       }));
 
       logger.info('KYC Documents Retrieved', { 
@@ -214,33 +597,70 @@ class KYCService {
   }
 
   /**
-   * Get pending KYC documents for banker review
+   * Get a page of pending KYC documents for banker review
+   * Returns { documents, pageInfo, total }
    */
-  async getPendingKYCForReview(bankerId, limit = 20) {
+  async getPendingKYCForReview(bankerId, filters = {}) {
     try {
-      const documents = await prisma.kYCDocument.findMany({
-        where: {
-          status: 'PENDING',
-        },
-        include: {
+      const conditions = [{ status: 'PENDING' }];
+      if (filters.docType) {
+        conditions.push({ type: filters.docType });
+      }
+      if (filters.startDate || filters.endDate) {
+        const createdAt = {};
+        if (filters.startDate) createdAt.gte = new Date(filters.startDate);
+        if (filters.endDate) createdAt.lte = new Date(filters.endDate);
+        conditions.push({ createdAt });
+      }
+      if (filters.search) {
+        conditions.push({
           user: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              phone: true,
-              role: true,
+            OR: [
+              { name: { contains: filters.search, mode: 'insensitive' } },
+              { email: { contains: filters.search, mode: 'insensitive' } },
+              { phone: { contains: filters.search } },
+            ],
+          },
+        });
+      }
+
+      const whereClause = { AND: conditions };
+      const page = {
+        sortBy: filters.sortBy || 'createdAt',
+        sortOrder: filters.sortOrder || 'asc',
+        cursor: filters.cursor,
+        limit: filters.limit || 20,
+      };
+
+      const [records, total] = await Promise.all([
+        prisma.kYCDocument.findMany({
+          ...buildCursorQuery(whereClause, page),
+          include: {
+            user: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+                phone: true,
+                role: true,
+              },
+            },
+            assignedBanker: {
+              select: { id: true, name: true },
             },
           },
-        },
-        orderBy: { createdAt: 'asc' },
-        take: limit,
-      });
+        }),
+        prisma.kYCDocument.count({ where: whereClause }),
+      ]);
 
-      const enrichedDocs = documents.map(doc => ({
+      const { items, pageInfo } = buildPage(records, page);
+
+      // Files are only reachable through GET /kyc/:kycDocId/view
+      const documents = items.map(({ url, publicId, ...doc }) => ({
         ...doc,
         userFullName: doc.user.name,
         userRole: doc.user.role,
+        isClaimed: assignmentService.isClaimActive(doc),
         daysPending: Math.floor(
           (new Date() - new Date(doc.createdAt)) / (1000 * 60 * 60 * 24)
         ),
@@ -248,10 +668,11 @@ class KYCService {
 
       logger.info('Pending KYC Retrieved for Review', { 
         bankerId, 
-        count: documents.length 
+        count: documents.length,
+        total
       });
 
-      return enrichedDocs;
+      return { documents, pageInfo, total };
     } catch (error) {
       logger.error('Get Pending KYC Failed', { 
         bankerId, 
@@ -264,7 +685,7 @@ class KYCService {
   /**
    * Verify/reject KYC document (Banker only)
    */
-  async verifyKYCDocument(kycDocId, status, bankerId, notes = '') {
+  async verifyKYCDocument(kycDocId, status, bankerId, notes = '', reasonCode = null) {
     try {
       const validStatuses = ['VERIFIED', 'REJECTED'];
       if (!validStatuses.includes(status)) {
@@ -273,25 +694,110 @@ class KYCService {
         throw error;
       }
 
-      // Update document status
-      const kycDoc = await prisma.kYCDocument.update({
+      if (status === 'REJECTED' && !REJECTION_REASONS[reasonCode]) {
+        const error = new Error('A rejection reason code is required');
+        error.status = 400;
+        error.data = { reasonCodes: Object.keys(REJECTION_REASONS) };
+        throw error;
+      }
+
+      const existing = await prisma.kYCDocument.findUnique({
         where: { id: kycDocId },
+        select: {
+          status: true,
+          supersededAt: true,
+          verifiedBy: true,
+          assignedBankerId: true,
+          claimExpiresAt: true,
+        },
+      });
+
+      if (!existing) {
+        const error = new Error('KYC document not found');
+        error.status = 404;
+        throw error;
+      }
+
+      // Only the current version awaiting review can be decided
+      if (existing.status !== 'PENDING' || existing.supersededAt) {
+        const error = new Error(existing.supersededAt
+          ? 'This version has been superseded by a newer upload'
+          : `KYC document is already ${existing.status.toLowerCase()}`);
+        error.status = 409;
+        throw error;
+      }
+
+      assignmentService.assertCanAct(existing, bankerId, 'KYC document');
+
+      // Conditional update so a concurrent decision, claim or new version
+      // can't be overwritten; a decision ends the review claim
+      const { count } = await prisma.kYCDocument.updateMany({
+        where: {
+          id: kycDocId,
+          status: 'PENDING',
+          supersededAt: null,
+          OR: assignmentService.claimableBy(bankerId),
+        },
         data: {
           status,
           verifiedBy: status === 'VERIFIED' ? bankerId : null,
+          rejectionReason: status === 'REJECTED' ? reasonCode : null,
+          reviewNotes: notes || null,
+          claimExpiresAt: null,
         },
+      });
+
+      if (count === 0) {
+        const error = new Error('KYC document changed concurrently, please retry');
+        error.status = 409;
+        throw error;
+      }
+
+      const kycDoc = await prisma.kYCDocument.findUnique({
+        where: { id: kycDocId },
         select: {
           id: true,
           type: true,
+          version: true,
           status: true,
           userId: true,
-          url: true,
+          verifiedBy: true,
+          rejectionReason: true,
+          reviewNotes: true,
         },
       });
 
       // Create audit log
       const action = status === 'VERIFIED' ? 'KYC_VERIFIED' : 'KYC_REJECTED';
-      await this.createKYCAuditLog(kycDocId, action, bankerId, notes);
+      await auditService.record({
+        entityType: 'KYC_DOCUMENT',
+        entityId: kycDocId,
+        action,
+        actorId: bankerId,
+        details: {
+          notes,
+          reasonCode: kycDoc.rejectionReason,
+          userId: kycDoc.userId,
+          docType: kycDoc.type,
+          diff: auditService.diff(existing, {
+            status: kycDoc.status,
+            verifiedBy: kycDoc.verifiedBy,
+          }),
+        },
+      });
+
+      await domainEvents.publish(
+        status === 'VERIFIED' ? DOMAIN_EVENTS.KYC_VERIFIED : DOMAIN_EVENTS.KYC_REJECTED,
+        {
+          kycDocId,
+          userId: kycDoc.userId,
+          docType: kycDoc.type,
+          docTypeName: this.getDocTypeName(kycDoc.type),
+          bankerId,
+          notes,
+          rejection: this.describeRejection(kycDoc),
+        }
+      );
 
       logger.info('KYC Document Verified', { 
         kycDocId, 
@@ -304,9 +810,10 @@ class KYCService {
       return {
         kycDoc,
         action,
+        rejection: this.describeRejection(kycDoc),
         message: status === 'VERIFIED' 
           ? 'Document verified successfully' 
-          : `Document rejected: ${notes}`,
+          : `Document rejected: ${REJECTION_REASONS[reasonCode]}`,
       };
     } catch (error) {
       logger.error('Verify KYC Document Failed', { 
@@ -344,8 +851,11 @@ class KYCService {
         throw error;
       }
 
+      // Files are only reachable through GET /kyc/:kycDocId/view
+      const { url, publicId, ...details } = document;
+
       return {
-        ...document,
+        ...details,
         docTypeName: this.getDocTypeName(document.type),
         isOverdue: document.status === 'PENDING' && 
           Math.floor((new Date() - new Date(document.createdAt)) / (1000 * 60 * 60 * 24)) > 3,
@@ -360,33 +870,100 @@ class KYCService {
   }
 
   /**
-   * Create KYC audit log
+   * Calculate KYC completion status against a set of required documents
    */
-  async createKYCAuditLog(kycDocId, action, actorId, details = '') {
-    try {
-      await prisma.auditLog.create({
-        data: {
-          loanId: null, // KYC documents aren't tied to specific loans yet
-          action: `KYC_${action}`,
-          actorId,
-          // Store details as JSON if needed
-        },
-      });
+  calculateKYCCompletion(documents, requiredDocs) {
+    // Only the latest version of each document type counts
+    const statusesByType = this.pickLatestVersions(documents).reduce((map, doc) => {
+      map[doc.type] = map[doc.type] || new Set();
+      map[doc.type].add(doc.status);
+      return map;
+    }, {});
+
+    const hasStatus = (type, status) => Boolean(statusesByType[type] && statusesByType[type].has(status));
+
+    const totalRequired = requiredDocs.length;
+    const completed = requiredDocs.filter(doc => hasStatus(doc.type, 'VERIFIED')).length;
+    const pending = requiredDocs.filter(doc =>
+      !hasStatus(doc.type, 'VERIFIED') && hasStatus(doc.type, 'PENDING')
+    ).length;
+    const incomplete = totalRequired - completed - pending;
+
+    // Every required document that isn't VERIFIED yet, with why
+    const missingDocuments = requiredDocs
+      .filter(doc => !hasStatus(doc.type, 'VERIFIED'))
+      .map(doc => ({
+        type: doc.type,
+        displayName: doc.displayName,
+        currentStatus: hasStatus(doc.type, 'PENDING') ? 'PENDING'
+          : hasStatus(doc.type, 'REJECTED') ? 'REJECTED'
+          : hasStatus(doc.type, 'UPLOADING') ? 'UPLOADING'
+          : 'NOT_SUBMITTED',
+      }));
 
-      logger.debug('KYC Audit Log Created', { 
-        kycDocId, 
-        action, 
-        actorId, 
-        details 
-      });
-    } catch (error) {
-      logger.error('KYC Audit Log Failed', { 
-        kycDocId, 
-        action, 
-        error: error.message 
+    return {
+      percentComplete: totalRequired > 0 ? Math.round((completed / totalRequired) * 100) : 0,
+      completed,
+      pending,
+      incomplete,
+      status: totalRequired === 0 ? 'NOT_REQUIRED' :
+              completed === totalRequired ? 'COMPLETE' :
+              pending > 0 ? 'IN_PROGRESS' : 'INCOMPLETE',
+      needsAction: pending + incomplete > 0,
+      missingDocuments,
+    };
+  }
+
+  /**
+   * Whether the KYC gate applies at a loan stage (APPLY or APPROVAL)
+   */
+  isGateEnabled(stage) {
+    return KYC_GATE_STAGES.includes(stage);
+  }
+
+  /**
+   * Block a loan stage until every required document is VERIFIED.
+   * Throws 422 listing the missing documents.
+   */
+  async assertKYCComplete(userId, role, loanType, stage) {
+    if (!this.isGateEnabled(stage)) {
+      return null;
+    }
+
+    const documents = await prisma.kYCDocument.findMany({
+      where: { userId },
+      select: { type: true, status: true, version: true, supersededAt: true, createdAt: true },
+    });
+    const requiredDocs = await this.getRequiredDocuments(role, loanType);
+    const completion = this.calculateKYCCompletion(documents, requiredDocs);
+
+    if (completion.missingDocuments.length > 0) {
+      logger.warn('KYC Gate Blocked', {
+        userId,
+        loanType,
+        stage,
+        missing: completion.missingDocuments.map(doc => doc.type)
       });
-      // Don't throw - audit shouldn't break main flow
+
+      const error = new Error(
+        stage === 'APPROVAL'
+          ? 'Applicant KYC verification is incomplete'
+          : 'Complete KYC verification before applying for this loan'
+      );
+      error.status = 422;
+      error.data = {
+        missingDocuments: completion.missingDocuments,
+        completion: {
+          percentComplete: completion.percentComplete,
+          completed: completion.completed,
+          pending: completion.pending,
+          incomplete: completion.incomplete,
+        },
+      };
+      throw error;
     }
+
+    return completion;
   }
 
   /**
@@ -403,9 +980,10 @@ class KYCService {
   }
 
   /**
-   * Get required documents based on user role and loan type
+   * Get required documents based on user role and loan type.
+   * Loan-type requirements come from the product catalog.
    */
-  getRequiredDocuments(userRole, loanType = null) {
+  async getRequiredDocuments(userRole, loanType = null) {
     const baseRequirements = {
       CUSTOMER: ['ID_PROOF', 'ADDRESS_PROOF', 'PAN_CARD'],
       MERCHANT: ['ID_PROOF', 'ADDRESS_PROOF', 'PAN_CARD', 'BANK_STATEMENT'],
@@ -414,14 +992,10 @@ class KYCService {
 
     let requirements = baseRequirements[userRole] || [];
 
-    // Add loan-type specific requirements
+    // Add product-specific requirements
     if (loanType) {
-      const loanSpecific = {
-        'BUSINESS': ['BANK_STATEMENT'],
-        'VEHICLE': ['ADDRESS_PROOF'],
-        'EQUIPMENT': ['BANK_STATEMENT'],
-      };
-      requirements = [...new Set([...requirements, ...(loanSpecific[loanType] || [])])];
+      const product = await loanProductService.getProductByCode(loanType);
+      requirements = [...new Set([...requirements, ...product.requiredDocuments])];
     }
 
     return requirements.map(type => ({
@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { getDocumentStorage } = require('./documentStorage');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+// Drafts still UPLOADING this long after the upload URL was issued are abandoned
+const UPLOAD_EXPIRY_SECONDS = parseInt(process.env.KYC_UPLOAD_EXPIRY_SECONDS || '86400');
+const CLEANUP_INTERVAL_MS = parseInt(process.env.KYC_UPLOAD_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000));
+const CLEANUP_BATCH_SIZE = parseInt(process.env.KYC_UPLOAD_CLEANUP_BATCH_SIZE || '200');
+
+// Never expire a draft whose upload URL may still be in use
+const UPLOAD_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_UPLOAD_URL_TTL_SECONDS || '900');
+
+class KYCUploadCleanupService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Expire KYC drafts left in UPLOADING and delete their stored files.
+   * The row is removed first (only if it is still UPLOADING), so an upload
+   * completed meanwhile keeps its file. With dryRun nothing is changed and
+   * the report lists what would be removed.
+   */
+  async cleanupAbandonedUploads({
+    dryRun = false,
+    olderThanSeconds = UPLOAD_EXPIRY_SECONDS,
+    limit = CLEANUP_BATCH_SIZE,
+  } = {}) {
+    const expirySeconds = Math.max(olderThanSeconds, UPLOAD_URL_TTL_SECONDS);
+    const cutoff = new Date(Date.now() - expirySeconds * 1000);
+
+    try {
+      const storage = getDocumentStorage();
+
+      // One extra row tells us whether another run is needed
+      const candidates = await prisma.kYCDocument.findMany({
+        where: { status: 'UPLOADING', createdAt: { lt: cutoff } },
+        select: { id: true, userId: true, type: true, publicId: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+        take: limit + 1,
+      });
+      const hasMore = candidates.length > limit;
+      const batch = candidates.slice(0, limit);
+
+      const report = {
+        dryRun,
+        storage: storage.name,
+        cutoff,
+        expired: [],
+        skipped: [],
+        failed: [],
+        hasMore,
+      };
+
+      for (const doc of batch) {
+        const entry = {
+          kycDocId: doc.id,
+          userId: doc.userId,
+          type: doc.type,
+          publicId: doc.publicId,
+          createdAt: doc.createdAt,
+        };
+
+        if (dryRun) {
+          report.expired.push(entry);
+          continue;
+        }
+
+        const { count } = await prisma.kYCDocument.deleteMany({
+          where: { id: doc.id, status: 'UPLOADING', createdAt: { lt: cutoff } },
+        });
+        if (count === 0) {
+          // Completed (or already removed) since it was listed
+          report.skipped.push(entry);
+          continue;
+        }
+
+        entry.assetDeleted = false;
+        if (doc.publicId) {
+          try {
+            entry.assetDeleted = await storage.deleteAsset(doc.publicId);
+          } catch (error) {
+            // The draft is gone; the file needs removing by hand
+            report.failed.push({ ...entry, error: error.message });
+            logger.error('Abandoned Upload Asset Delete Failed', {
+              kycDocId: doc.id,
+              publicId: doc.publicId,
+              storage: storage.name,
+              error: error.message,
+            });
+          }
+        }
+
+        await auditService.record({
+          entityType: 'KYC_DOCUMENT',
+          entityId: doc.id,
+          action: 'KYC_UPLOAD_EXPIRED',
+          actorId: null,
+          details: {
+            userId: doc.userId,
+            type: doc.type,
+            publicId: doc.publicId,
+            assetDeleted: entry.assetDeleted,
+            uploadRequestedAt: doc.createdAt,
+          },
+        });
+
+        report.expired.push(entry);
+      }
+
+      if (report.expired.length > 0 || report.failed.length > 0) {
+        logger.info('Abandoned Uploads Cleaned Up', {
+          dryRun,
+          storage: storage.name,
+          cutoff,
+          expired: report.expired.length,
+          assetsDeleted: report.expired.filter(entry => entry.assetDeleted).length,
+          skipped: report.skipped.length,
+          failed: report.failed.length,
+          hasMore,
+        });
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('Abandoned Upload Cleanup Failed', { dryRun, cutoff, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run the cleanup periodically in-process, skipping a tick while the
+   * previous run is still going
+   */
+  start(intervalMs = CLEANUP_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      if (this.running) {
+        return;
+      }
+
+      this.running = true;
+      try {
+        await this.cleanupAbandonedUploads();
+      } catch (error) {
+        // Already logged; try again next tick
+      } finally {
+        this.running = false;
+      }
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new KYCUploadCleanupService();
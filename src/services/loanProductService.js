@@ -0,0 +1,190 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+class LoanProductService {
+  /**
+   * List products (active only unless includeInactive), optionally for a role
+   */
+  async listProducts({ role = null, includeInactive = false } = {}) {
+    try {
+      const whereClause = {};
+      if (!includeInactive) {
+        whereClause.isActive = true;
+      }
+      if (role) {
+        whereClause.eligibleRoles = { has: role };
+      }
+
+      const products = await prisma.loanProduct.findMany({
+        where: whereClause,
+        orderBy: { code: 'asc' },
+      });
+
+      logger.info('Loan Products Retrieved', { count: products.length, role });
+
+      return products;
+    } catch (error) {
+      logger.error('List Loan Products Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get product by ID
+   */
+  async getProductById(productId) {
+    const product = await prisma.loanProduct.findUnique({ where: { id: productId } });
+
+    if (!product) {
+      const error = new Error('Loan product not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return product;
+  }
+
+  /**
+   * Get product by code (the loan `type`)
+   */
+  async getProductByCode(code) {
+    const product = await prisma.loanProduct.findUnique({ where: { code } });
+
+    if (!product) {
+      const error = new Error(`Unknown loan type: ${code}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return product;
+  }
+
+  /**
+   * Check an application against a product and resolve its terms.
+   * Returns { product, interestRate, tenureMonths }.
+   */
+  async resolveApplication(type, amount, tenureMonths, role = null) {
+    const product = await this.getProductByCode(type);
+
+    if (!product.isActive) {
+      const error = new Error(`${product.name} is not currently offered`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (role && !product.eligibleRoles.includes(role)) {
+      const error = new Error(`${product.name} is not available for ${role.toLowerCase()} accounts`);
+      error.status = 403;
+      throw error;
+    }
+
+    if (amount < product.minAmount || amount > product.maxAmount) {
+      const error = new Error(
+        `${product.name} amount must be between ${formatAmount(product.minAmount)} and ${formatAmount(product.maxAmount)}`
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    const tenure = tenureMonths || product.defaultTenureMonths;
+    if (tenure < product.minTenureMonths || tenure > product.maxTenureMonths) {
+      const error = new Error(
+        `${product.name} tenure must be between ${product.minTenureMonths} and ${product.maxTenureMonths} months`
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    return { product, interestRate: product.interestRate, tenureMonths: tenure };
+  }
+
+  /**
+   * Create a product (Banker only)
+   */
+  async createProduct(productData, bankerId) {
+    try {
+      this.assertConsistentLimits(productData);
+
+      const product = await prisma.loanProduct.create({ data: productData });
+
+      await auditService.record({
+        entityType: 'LOAN_PRODUCT',
+        entityId: product.id,
+        action: 'LOAN_PRODUCT_CREATED',
+        actorId: bankerId,
+        details: { product: productData },
+      });
+
+      logger.info('Loan Product Created', { productId: product.id, code: product.code, bankerId });
+
+      return product;
+    } catch (error) {
+      logger.error('Create Loan Product Failed', { code: productData.code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product (Banker only). Existing loans keep the terms they were priced with.
+   */
+  async updateProduct(productId, updates, bankerId) {
+    try {
+      const existing = await this.getProductById(productId);
+      this.assertConsistentLimits({ ...existing, ...updates });
+
+      const product = await prisma.loanProduct.update({
+        where: { id: productId },
+        data: updates,
+      });
+
+      await auditService.record({
+        entityType: 'LOAN_PRODUCT',
+        entityId: productId,
+        action: 'LOAN_PRODUCT_UPDATED',
+        actorId: bankerId,
+        details: { diff: auditService.diff(existing, updates) },
+      });
+
+      logger.info('Loan Product Updated', {
+        productId,
+        bankerId,
+        updatedFields: Object.keys(updates)
+      });
+
+      return product;
+    } catch (error) {
+      logger.error('Update Loan Product Failed', { productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a product. Products referenced by loans are deactivated, never deleted.
+   */
+  async deactivateProduct(productId, bankerId) {
+    return this.updateProduct(productId, { isActive: false }, bankerId);
+  }
+
+  assertConsistentLimits(product) {
+    if (product.minAmount > product.maxAmount) {
+      const error = new Error('Minimum amount cannot exceed maximum amount');
+      error.status = 400;
+      throw error;
+    }
+
+    if (product.minTenureMonths > product.maxTenureMonths ||
+        product.defaultTenureMonths < product.minTenureMonths ||
+        product.defaultTenureMonths > product.maxTenureMonths) {
+      const error = new Error('Default tenure must lie within the minimum and maximum tenure');
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoanProductService();
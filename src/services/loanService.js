@@ -1,27 +1,69 @@
 const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const loanProductService = require('./loanProductService');
+const kycService = require('./kycService');
+const assignmentService = require('./assignmentService');
+const otpService = require('./otpService');
+const merchantCustomerService = require('./merchantCustomerService');
 const { logger } = require('../middleware/logger');
+const { TRANSITION_ACTIONS, assertTransition } = require('../utils/loanStateMachine');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+const { generateSchedule } = require('../utils/emiCalculator');
+const { buildCursorQuery, buildPage } = require('../utils/pagination');
 
 const prisma = new PrismaClient();
 
+// Statuses that count as an approved loan for analytics
+const APPROVED_STATUSES = ['APPROVED', 'DISBURSED', 'CLOSED'];
+
 class LoanService {
   /**
-   * Create new loan application
+   * Create new loan application, validated against the selected product.
+   * A merchant passing loanData.customerId applies on a linked customer's
+   * behalf: the customer is the applicant, the merchant the originator, and
+   * the loan waits in AWAITING_CUSTOMER until the customer approves it.
    */
-  async createLoan(loanData, userId) {
+  async createLoan(loanData, userId, applicantRole = null) {
     try {
+      const isProxy = applicantRole === 'MERCHANT' && Boolean(loanData.customerId);
+      if (isProxy) {
+        await merchantCustomerService.assertActiveLink(userId, loanData.customerId);
+      }
+
+      const applicantId = isProxy ? loanData.customerId : userId;
+
+      // The applicant's phone, not the originating merchant's
+      await otpService.assertPhoneVerified(applicantId, { onBehalf: isProxy });
+      const role = isProxy ? 'CUSTOMER' : applicantRole;
+
+      const terms = await loanProductService.resolveApplication(
+        loanData.type,
+        loanData.amount,
+        loanData.tenureMonths,
+        role
+      );
+
+      await kycService.assertKYCComplete(applicantId, role, loanData.type, 'APPLY');
+
       const loan = await prisma.loan.create({
         data: {
           type: loanData.type,
+          productId: terms.product.id,
           amount: loanData.amount,
-          status: 'PENDING',
-          applicantId: userId,
-          merchantId: loanData.merchantId || null,
+          interestRate: terms.interestRate,
+          tenureMonths: terms.tenureMonths,
+          status: isProxy ? 'AWAITING_CUSTOMER' : 'PENDING',
+          applicantId,
+          merchantId: isProxy ? userId : null,
           bankerId: null,
         },
         select: {
           id: true,
           type: true,
+          productId: true,
           amount: true,
+          interestRate: true,
+          tenureMonths: true,
           status: true,
           applicantId: true,
           merchantId: true,
@@ -31,14 +73,36 @@ class LoanService {
       });
 
       // Create audit log
-      await this.createAuditLog(loan.id, 'LOAN_CREATED', userId, 'Loan application submitted');
+      await auditService.record({
+        entityType: 'LOAN',
+        entityId: loan.id,
+        action: 'LOAN_CREATED',
+        actorId: userId,
+        details: {
+          notes: isProxy ? 'Proxy application created by merchant' : 'Loan application submitted',
+          type: loan.type,
+          amount: loan.amount,
+          interestRate: loan.interestRate,
+          tenureMonths: loan.tenureMonths,
+          merchantId: loan.merchantId,
+        },
+      });
+
+      // Proxy applications reach the review queue once the customer approves
+      await domainEvents.publish(isProxy ? DOMAIN_EVENTS.LOAN_PROXY_REQUESTED : DOMAIN_EVENTS.LOAN_SUBMITTED, {
+        loanId: loan.id,
+        applicantId: loan.applicantId,
+        merchantId: loan.merchantId,
+        type: loan.type,
+        amount: loan.amount,
+      });
 
       logger.info('Loan Created', { 
         loanId: loan.id, 
         type: loan.type, 
         amount: loan.amount, 
-        applicantId: userId,
-        merchantId: loanData.merchantId 
+        applicantId,
+        merchantId: loan.merchantId
       });
 
       return loan;
@@ -52,9 +116,9 @@ class LoanService {
   }
 
   /**
-   * Get loan by ID with relations
+   * Get loan by ID with relations. Bankers can open any loan.
    */
-  async getLoanById(loanId, userId) {
+  async getLoanById(loanId, userId, role = null) {
     try {
       const loan = await prisma.loan.findUnique({
         where: { id: loanId },
@@ -88,7 +152,8 @@ class LoanService {
       }
 
       // Authorization: User must be applicant, merchant, or banker
-      const canAccess = loan.applicantId === userId || 
+      const canAccess = role === 'BANKER' ||
+                       loan.applicantId === userId || 
                        loan.merchantId === userId || 
                        (userId && loan.bankerId === userId);
 
@@ -112,18 +177,19 @@ class LoanService {
   }
 
   /**
-   * Get loans for a user based on their role
+   * Get a page of loans for a user based on their role
+   * Returns { loans, pageInfo, total } - total counts every match, not just the page
    */
   async getUserLoans(userId, role, filters = {}) {
     try {
-      let whereClause = {};
+      let roleScope = {};
 
       switch (role) {
         case 'CUSTOMER':
-          whereClause = { applicantId: userId };
+          roleScope = { applicantId: userId };
           break;
         case 'MERCHANT':
-          whereClause = {
+          roleScope = {
             OR: [
               { applicantId: userId },
               { merchantId: userId }
@@ -131,45 +197,75 @@ class LoanService {
           };
           break;
         case 'BANKER':
-          whereClause = { status: 'PENDING' }; // Bankers see pending loans
+          // Bankers see loans awaiting a decision unless they filter by status
+          roleScope = filters.status ? {} : { status: { in: ['PENDING', 'UNDER_REVIEW'] } };
           break;
         default:
-          whereClause = { applicantId: userId };
+          roleScope = { applicantId: userId };
       }
 
       // Apply filters
+      const conditions = [roleScope];
       if (filters.status) {
-        whereClause.status = filters.status;
+        conditions.push({ status: filters.status });
       }
       if (filters.type) {
-        whereClause.type = filters.type;
+        conditions.push({ type: filters.type });
       }
-      if (filters.minAmount) {
-        whereClause.amount = { gte: filters.minAmount };
+      if (filters.minAmount != null || filters.maxAmount != null) {
+        const amount = {};
+        if (filters.minAmount != null) amount.gte = filters.minAmount;
+        if (filters.maxAmount != null) amount.lte = filters.maxAmount;
+        conditions.push({ amount });
       }
-
-      const loans = await prisma.loan.findMany({
-        where: whereClause,
-        include: {
+      if (filters.startDate || filters.endDate) {
+        const createdAt = {};
+        if (filters.startDate) createdAt.gte = new Date(filters.startDate);
+        if (filters.endDate) createdAt.lte = new Date(filters.endDate);
+        conditions.push({ createdAt });
+      }
+      // Applicant search is a banker tool
+      if (filters.search && role === 'BANKER') {
+        conditions.push({
           applicant: {
-            select: { id: true, name: true, email: true, role: true },
+            OR: [
+              { name: { contains: filters.search, mode: 'insensitive' } },
+              { email: { contains: filters.search, mode: 'insensitive' } },
+              { phone: { contains: filters.search } },
+            ],
           },
-          merchant: {
-            select: { id: true, name: true, email: true },
+        });
+      }
+
+      const whereClause = { AND: conditions };
+      const page = { sortBy: filters.sortBy, sortOrder: filters.sortOrder, cursor: filters.cursor, limit: filters.limit };
+
+      const [records, total] = await Promise.all([
+        prisma.loan.findMany({
+          ...buildCursorQuery(whereClause, page),
+          include: {
+            applicant: {
+              select: { id: true, name: true, email: true, role: true },
+            },
+            merchant: {
+              select: { id: true, name: true, email: true },
+            },
           },
-        },
-        orderBy: { createdAt: 'desc' },
-        take: filters.limit || 20,
-      });
+        }),
+        prisma.loan.count({ where: whereClause }),
+      ]);
+
+      const { items: loans, pageInfo } = buildPage(records, page);
 
       logger.info('User Loans Retrieved', { 
         userId, 
         role, 
         count: loans.length, 
+        total,
         filters 
       });
 
-      return loans;
+      return { loans, pageInfo, total };
     } catch (error) {
       logger.error('Get User Loans Failed', { userId, role, error: error.message });
       throw error;
@@ -177,26 +273,99 @@ class LoanService {
   }
 
   /**
-   * Update loan status (approve/reject - banker only)
+   * Move a loan through its lifecycle (see utils/loanStateMachine)
+   * actor is 'BANKER' or 'APPLICANT'
    */
-  async updateLoanStatus(loanId, status, userId, notes = '') {
+  async updateLoanStatus(loanId, status, userId, notes = '', actor = 'BANKER') {
     try {
-      // Validate new status
-      const validStatuses = ['APPROVED', 'REJECTED'];
-      if (!validStatuses.includes(status)) {
-        const error = new Error('Invalid status transition');
-        error.status = 400;
+      const current = await prisma.loan.findUnique({
+        where: { id: loanId },
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          interestRate: true,
+          tenureMonths: true,
+          status: true,
+          applicantId: true,
+          merchantId: true,
+          bankerId: true,
+          assignedBankerId: true,
+          claimExpiresAt: true,
+          applicant: {
+            select: { role: true },
+          },
+        },
+      });
+
+      if (!current) {
+        const error = new Error('Loan not found');
+        error.status = 404;
         throw error;
       }
 
-      // Update loan
-      const loan = await prisma.loan.update({
+      if (actor === 'APPLICANT' && current.applicantId !== userId) {
+        // The merchant who originated a proxy application acts as ORIGINATOR
+        if (!current.merchantId || current.merchantId !== userId) {
+          const error = new Error('Only the applicant can perform this action');
+          error.status = 403;
+          throw error;
+        }
+        actor = 'ORIGINATOR';
+      }
+
+      assertTransition(current.status, status, actor);
+
+      // A loan claimed by another banker is theirs to decide
+      if (actor === 'BANKER') {
+        assignmentService.assertCanAct(current, userId, 'Loan');
+      }
+
+      // Checked again when the customer approves a proxy application
+      if (current.status === 'AWAITING_CUSTOMER' && status === 'PENDING') {
+        await otpService.assertPhoneVerified(current.applicantId);
+      }
+
+      if (status === 'APPROVED') {
+        await kycService.assertKYCComplete(current.applicantId, current.applicant.role, current.type, 'APPROVAL');
+      }
+
+      // Conditional update so a concurrent transition can't be overwritten
+      const data = { status };
+      const where = { id: loanId, status: current.status };
+      if (actor === 'BANKER') {
+        data.bankerId = userId;
+        where.OR = assignmentService.claimableBy(userId);
+      }
+      if (status === 'UNDER_REVIEW' && actor === 'BANKER') {
+        // Starting a review claims the loan
+        Object.assign(data, assignmentService.claimData(userId));
+      } else if (!['PENDING', 'UNDER_REVIEW'].includes(status)) {
+        // Decided loans leave the review queue
+        data.claimExpiresAt = null;
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.loan.updateMany({
+          where,
+          data,
+        });
+
+        if (count === 0) {
+          const error = new Error('Loan status changed concurrently, please retry');
+          error.status = 409;
+          throw error;
+        }
+
+        // Approval fixes the repayment plan; disbursement starts the clock,
+        // so due dates are re-based on the disbursement date
+        if (status === 'APPROVED' || status === 'DISBURSED') {
+          await this.createRepaymentSchedule(tx, current, new Date());
+        }
+      });
+
+      const loan = await prisma.loan.findUnique({
         where: { id: loanId },
-        data: {
-          status,
-          bankerId: userId,
-          updatedAt: new Date(),
-        },
         select: {
           id: true,
           type: true,
@@ -210,13 +379,38 @@ class LoanService {
       });
 
       // Create audit log
-      const action = status === 'APPROVED' ? 'LOAN_APPROVED' : 'LOAN_REJECTED';
-      await this.createAuditLog(loanId, action, userId, notes);
+      await auditService.record({
+        entityType: 'LOAN',
+        entityId: loanId,
+        action: TRANSITION_ACTIONS[status],
+        actorId: userId,
+        details: {
+          notes,
+          diff: auditService.diff(
+            { status: current.status, bankerId: current.bankerId },
+            { status: loan.status, bankerId: loan.bankerId }
+          ),
+        },
+      });
+
+      await domainEvents.publish(DOMAIN_EVENTS[TRANSITION_ACTIONS[status]], {
+        loanId,
+        applicantId: loan.applicantId,
+        merchantId: loan.merchantId,
+        type: loan.type,
+        amount: loan.amount,
+        previousStatus: current.status,
+        status: loan.status,
+        actorId: userId,
+        notes,
+      });
 
       logger.info('Loan Status Updated', { 
         loanId, 
+        previousStatus: current.status,
         newStatus: status, 
-        bankerId: userId, 
+        actorId: userId, 
+        actor,
         notes: notes.substring(0, 100) 
       });
 
@@ -225,6 +419,7 @@ class LoanService {
       logger.error('Update Loan Status Failed', { 
         loanId, 
         userId, 
+        status,
         error: error.message 
       });
       throw error;
@@ -232,36 +427,99 @@ class LoanService {
   }
 
   /**
-   * Create audit log entry
+   * Persist the EMI schedule for a loan (inside the approval or disbursement
+   * transaction), with the first installment due a month after startDate.
+   * No repayment can exist before disbursement, so the rows are replaced.
    */
-  async createAuditLog(loanId, action, actorId, details = '') {
+  async createRepaymentSchedule(tx, loan, startDate = new Date()) {
+    // Loans created before pricing existed fall back to the product defaults
+    let terms = { interestRate: loan.interestRate, tenureMonths: loan.tenureMonths };
+    if (terms.interestRate == null || !terms.tenureMonths) {
+      const product = await loanProductService.getProductByCode(loan.type);
+      terms = { interestRate: product.interestRate, tenureMonths: product.defaultTenureMonths };
+    }
+
+    const schedule = generateSchedule(loan.amount, terms.interestRate, terms.tenureMonths, startDate);
+
+    await tx.loan.update({
+      where: { id: loan.id },
+      data: { interestRate: terms.interestRate, tenureMonths: terms.tenureMonths },
+    });
+
+    await tx.loanInstallment.deleteMany({ where: { loanId: loan.id } });
+    await tx.loanInstallment.createMany({
+      data: schedule.installments.map(installment => ({ ...installment, loanId: loan.id })),
+    });
+
+    logger.info('Repayment Schedule Generated', {
+      loanId: loan.id,
+      emi: schedule.emi,
+      tenureMonths: schedule.tenureMonths,
+      totalInterest: schedule.totalInterest
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Get the stored repayment schedule of an approved loan
+   */
+  async getRepaymentSchedule(loanId, userId, role = null) {
     try {
-      await prisma.auditLog.create({
-        data: {
-          loanId,
-          action,
-          actorId,
-          // details can be JSON stringified if needed
+      const loan = await this.getLoanById(loanId, userId, role);
+
+      const installments = await prisma.loanInstallment.findMany({
+        where: { loanId },
+        orderBy: { installmentNumber: 'asc' },
+        select: {
+          installmentNumber: true,
+          dueDate: true,
+          openingBalance: true,
+          emiAmount: true,
+          principalAmount: true,
+          interestAmount: true,
+          closingBalance: true,
+          status: true,
         },
       });
 
-      logger.info('Audit Log Created', { 
-        loanId, 
-        action, 
-        actorId, 
-        details: details.substring(0, 200) 
-      });
+      if (installments.length === 0) {
+        const error = new Error(`No repayment schedule: loan is ${loan.status}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const totalInterest = installments.reduce((sum, item) => sum + item.interestAmount, 0);
+
+      return {
+        loanId,
+        status: loan.status,
+        principal: loan.amount,
+        interestRate: loan.interestRate,
+        tenureMonths: loan.tenureMonths,
+        emi: installments[0].emiAmount,
+        totalInterest: Math.round(totalInterest * 100) / 100,
+        totalPayable: Math.round((loan.amount + totalInterest) * 100) / 100,
+        installments,
+      };
     } catch (error) {
-      logger.error('Audit Log Creation Failed', { 
-        loanId, 
-        action, 
-        actorId, 
-        error: error.message 
-      });
-      // Don't throw - audit logs shouldn't break main flow
+      logger.error('Get Repayment Schedule Failed', { loanId, userId, error: error.message });
+      throw error;
     }
   }
 
+  /**
+   * Quote EMI and schedule for a prospective loan (nothing is stored)
+   */
+  async getQuote(type, amount, tenureMonths, role = null) {
+    const terms = await loanProductService.resolveApplication(type, amount, tenureMonths, role);
+    return {
+      type,
+      productName: terms.product.name,
+      ...generateSchedule(amount, terms.interestRate, terms.tenureMonths),
+    };
+  }
+
   /**
    * Get merchant loan analytics
    */
@@ -283,16 +541,16 @@ class LoanService {
         prisma.loan.count({ where: whereClause }),
         // Approved loans
         prisma.loan.count({ 
-          where: { ...whereClause, status: 'APPROVED' } 
+          where: { ...whereClause, status: { in: APPROVED_STATUSES } } 
         }),
         // Total approved amount
         prisma.loan.aggregate({
-          where: { ...whereClause, status: 'APPROVED' },
+          where: { ...whereClause, status: { in: APPROVED_STATUSES } },
           _sum: { amount: true },
         }),
         // Average approval time (from creation to approval)
         prisma.loan.findMany({
-          where: { ...whereClause, status: 'APPROVED' },
+          where: { ...whereClause, status: { in: APPROVED_STATUSES } },
           select: { createdAt: true, updatedAt: true },
         }).then(loans => {
           if (loans.length === 0) return 0;
@@ -0,0 +1,29 @@
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Login attempt store interface (all methods async):
+ *   recordFailure(key, windowMs) => failures in the current window
+ *   getFailures(key)             => failures in the current window
+ *   lock(key, untilMs)           => lock the key until an epoch ms
+ *   getLockedUntil(key)          => epoch ms, or null when not locked
+ *   reset(key)                   => clear failures and lock
+ * Keys look like "account:<email>" or "ip:<address>".
+ */
+const STORES = {
+  memory: createMemoryStore,
+};
+
+/**
+ * Build the store named by LOGIN_ATTEMPT_STORE (default memory)
+ */
+const createLoginAttemptStore = () => {
+  const name = process.env.LOGIN_ATTEMPT_STORE || 'memory';
+
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown login attempt store: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = { createLoginAttemptStore };
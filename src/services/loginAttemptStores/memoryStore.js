@@ -0,0 +1,58 @@
+/**
+ * In-process store for failed-login counters and lockouts. State is lost on
+ * restart and not shared between instances; fine for development, tests and
+ * single-instance deployments.
+ */
+const createMemoryStore = () => {
+  const failures = new Map();
+  const locks = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of failures) {
+      if (entry.expiresAt <= now) failures.delete(key);
+    }
+    for (const [key, until] of locks) {
+      if (until <= now) locks.delete(key);
+    }
+  };
+
+  const sweeper = setInterval(sweep, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async recordFailure(key, windowMs) {
+      const now = Date.now();
+      let entry = failures.get(key);
+      if (!entry || entry.expiresAt <= now) {
+        entry = { count: 0, expiresAt: now + windowMs };
+        failures.set(key, entry);
+      }
+      entry.count += 1;
+      return entry.count;
+    },
+
+    async getFailures(key) {
+      const entry = failures.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+    },
+
+    async lock(key, untilMs) {
+      locks.set(key, untilMs);
+    },
+
+    async getLockedUntil(key) {
+      const until = locks.get(key);
+      return until && until > Date.now() ? until : null;
+    },
+
+    async reset(key) {
+      failures.delete(key);
+      locks.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
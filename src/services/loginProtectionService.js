@@ -0,0 +1,162 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { createLoginAttemptStore } = require('./loginAttemptStores');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15') * 60 * 1000;
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60 * 1000;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '5');
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20');
+// Delay doubles with each failure: 250ms, 500ms, 1s ... capped
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS || '250');
+const DELAY_MAX_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LoginProtectionService {
+  constructor(store = createLoginAttemptStore()) {
+    this.store = store;
+  }
+
+  accountKey(email) {
+    return `account:${email.trim().toLowerCase()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `ip:${ipAddress}`;
+  }
+
+  /**
+   * Throw 429 (with retryAfterSeconds) if the account or IP is locked out
+   */
+  async assertNotLocked(email, ipAddress) {
+    const [accountUntil, ipUntil] = await Promise.all([
+      this.store.getLockedUntil(this.accountKey(email)),
+      this.store.getLockedUntil(this.ipKey(ipAddress)),
+    ]);
+
+    const lockedUntil = Math.max(accountUntil || 0, ipUntil || 0);
+    if (lockedUntil) {
+      const error = new Error('Too many failed login attempts, please try again later');
+      error.status = 429;
+      error.data = { retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000) };
+      throw error;
+    }
+  }
+
+  /**
+   * Wait longer after each recent failure on the account or IP
+   */
+  async applyDelay(email, ipAddress) {
+    const [accountFailures, ipFailures] = await Promise.all([
+      this.store.getFailures(this.accountKey(email)),
+      this.store.getFailures(this.ipKey(ipAddress)),
+    ]);
+
+    const failures = Math.max(accountFailures, ipFailures);
+    if (failures === 0) {
+      return 0;
+    }
+
+    const delayMs = Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS);
+    await sleep(delayMs);
+    return delayMs;
+  }
+
+  /**
+   * Count a failed login; lock the account or IP once its limit is reached.
+   * Unknown emails are counted the same way so responses don't differ.
+   */
+  async recordFailure(email, ipAddress) {
+    const accountKey = this.accountKey(email);
+    const ipKey = this.ipKey(ipAddress);
+
+    const [accountFailures, ipFailures] = await Promise.all([
+      this.store.recordFailure(accountKey, FAILURE_WINDOW_MS),
+      this.store.recordFailure(ipKey, FAILURE_WINDOW_MS),
+    ]);
+
+    const lockedUntil = Date.now() + LOCKOUT_MS;
+
+    if (accountFailures >= MAX_ACCOUNT_FAILURES) {
+      await this.store.lock(accountKey, lockedUntil);
+
+      const user = await prisma.user.findUnique({
+        where: { email },
+        select: { id: true },
+      });
+
+      if (user) {
+        await auditService.record({
+          entityType: 'USER',
+          entityId: user.id,
+          action: 'USER_LOCKED_OUT',
+          actorId: null,
+          details: {
+            failures: accountFailures,
+            ipAddress,
+            lockedUntil: new Date(lockedUntil),
+          },
+        });
+      }
+
+      logger.warn('Account Locked Out', { email, ipAddress, failures: accountFailures });
+    }
+
+    if (ipFailures >= MAX_IP_FAILURES) {
+      await this.store.lock(ipKey, lockedUntil);
+      logger.warn('IP Locked Out', { ipAddress, failures: ipFailures });
+    }
+
+    return { accountFailures, ipFailures };
+  }
+
+  /**
+   * Clear the account's counter after a successful password check.
+   * The IP counter is left to expire since an IP may be shared.
+   */
+  async recordSuccess(email) {
+    await this.store.reset(this.accountKey(email));
+  }
+
+  /**
+   * Lift an account lockout (Admin only)
+   */
+  async unlockUser(userId, adminId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true },
+      });
+
+      if (!user) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const key = this.accountKey(user.email);
+      const wasLocked = Boolean(await this.store.getLockedUntil(key));
+      await this.store.reset(key);
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_UNLOCKED',
+        actorId: adminId,
+        details: { wasLocked },
+      });
+
+      logger.info('Account Unlocked', { userId, adminId, wasLocked });
+
+      return { userId, wasLocked };
+    } catch (error) {
+      logger.error('Unlock Account Failed', { userId, adminId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
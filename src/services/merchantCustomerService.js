@@ -0,0 +1,254 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const { logger } = require('../middleware/logger');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+
+const prisma = new PrismaClient();
+
+const LINK_SELECT = {
+  id: true,
+  merchantId: true,
+  customerId: true,
+  status: true,
+  consentedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  merchant: {
+    select: { id: true, name: true, email: true },
+  },
+  customer: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+class MerchantCustomerService {
+  /**
+   * Ask a customer for permission to apply for loans on their behalf.
+   * Declined or revoked links can be requested again.
+   */
+  async requestLink(merchantId, customerEmail) {
+    try {
+      const customer = await prisma.user.findUnique({
+        where: { email: customerEmail },
+        select: { id: true, role: true, status: true },
+      });
+
+      if (!customer || customer.role !== 'CUSTOMER' || customer.status !== 'ACTIVE') {
+        const error = new Error('Customer not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const existing = await prisma.merchantCustomer.findUnique({
+        where: { merchantId_customerId: { merchantId, customerId: customer.id } },
+        select: { id: true, status: true },
+      });
+
+      if (existing && ['PENDING', 'ACTIVE'].includes(existing.status)) {
+        const error = new Error(existing.status === 'ACTIVE'
+          ? 'Customer is already linked'
+          : 'A link request is already awaiting the customer');
+        error.status = 409;
+        error.data = { linkId: existing.id, status: existing.status };
+        throw error;
+      }
+
+      const link = existing
+        ? await prisma.merchantCustomer.update({
+          where: { id: existing.id },
+          data: { status: 'PENDING', consentedAt: null, revokedAt: null },
+          select: LINK_SELECT,
+        })
+        : await prisma.merchantCustomer.create({
+          data: { merchantId, customerId: customer.id },
+          select: LINK_SELECT,
+        });
+
+      await auditService.record({
+        entityType: 'MERCHANT_CUSTOMER',
+        entityId: link.id,
+        action: 'MERCHANT_LINK_REQUESTED',
+        actorId: merchantId,
+        details: { customerId: customer.id },
+      });
+
+      await domainEvents.publish(DOMAIN_EVENTS.MERCHANT_LINK_REQUESTED, {
+        linkId: link.id,
+        merchantId,
+        customerId: customer.id,
+        merchantName: link.merchant.name,
+      });
+
+      logger.info('Merchant Link Requested', { linkId: link.id, merchantId, customerId: customer.id });
+
+      return link;
+    } catch (error) {
+      logger.error('Merchant Link Request Failed', { merchantId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Links for the signed-in merchant (their customers) or customer (their merchants)
+   */
+  async listLinks(userId, role, status = null) {
+    try {
+      const where = role === 'MERCHANT' ? { merchantId: userId } : { customerId: userId };
+      if (status) {
+        where.status = status;
+      }
+
+      return await prisma.merchantCustomer.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        select: LINK_SELECT,
+      });
+    } catch (error) {
+      logger.error('List Merchant Links Failed', { userId, role, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Customer consents to (ACTIVE) or declines (DECLINED) a pending request
+   */
+  async respond(linkId, customerId, consent) {
+    try {
+      const link = await this.getLinkFor(linkId, customerId);
+
+      if (link.customerId !== customerId) {
+        const error = new Error('Only the customer can respond to a link request');
+        error.status = 403;
+        throw error;
+      }
+
+      const status = consent ? 'ACTIVE' : 'DECLINED';
+      const { count } = await prisma.merchantCustomer.updateMany({
+        where: { id: linkId, status: 'PENDING' },
+        data: { status, consentedAt: consent ? new Date() : null },
+      });
+
+      if (count === 0) {
+        const error = new Error(`Link request is ${link.status.toLowerCase()}, not pending`);
+        error.status = 409;
+        throw error;
+      }
+
+      await auditService.record({
+        entityType: 'MERCHANT_CUSTOMER',
+        entityId: linkId,
+        action: consent ? 'MERCHANT_LINK_CONSENTED' : 'MERCHANT_LINK_DECLINED',
+        actorId: customerId,
+        details: { merchantId: link.merchantId },
+      });
+
+      logger.info('Merchant Link Answered', { linkId, customerId, status });
+
+      return prisma.merchantCustomer.findUnique({ where: { id: linkId }, select: LINK_SELECT });
+    } catch (error) {
+      logger.error('Merchant Link Response Failed', { linkId, customerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * End a link (either side). Proxy applications still awaiting the
+   * customer's approval are cancelled with it.
+   */
+  async revoke(linkId, userId) {
+    try {
+      const link = await this.getLinkFor(linkId, userId);
+
+      const { count } = await prisma.merchantCustomer.updateMany({
+        where: { id: linkId, status: { in: ['PENDING', 'ACTIVE'] } },
+        data: { status: 'REVOKED', revokedAt: new Date() },
+      });
+
+      if (count === 0) {
+        const error = new Error(`Link is already ${link.status.toLowerCase()}`);
+        error.status = 409;
+        throw error;
+      }
+
+      const awaiting = await prisma.loan.findMany({
+        where: { merchantId: link.merchantId, applicantId: link.customerId, status: 'AWAITING_CUSTOMER' },
+        select: { id: true },
+      });
+
+      if (awaiting.length > 0) {
+        await prisma.loan.updateMany({
+          where: { id: { in: awaiting.map(loan => loan.id) }, status: 'AWAITING_CUSTOMER' },
+          data: { status: 'CANCELLED' },
+        });
+
+        await Promise.all(awaiting.map(loan => auditService.record({
+          entityType: 'LOAN',
+          entityId: loan.id,
+          action: 'LOAN_CANCELLED',
+          actorId: userId,
+          details: {
+            notes: 'Merchant link revoked',
+            diff: { status: { from: 'AWAITING_CUSTOMER', to: 'CANCELLED' } },
+          },
+        })));
+      }
+
+      await auditService.record({
+        entityType: 'MERCHANT_CUSTOMER',
+        entityId: linkId,
+        action: 'MERCHANT_LINK_REVOKED',
+        actorId: userId,
+        details: {
+          previousStatus: link.status,
+          cancelledLoanIds: awaiting.map(loan => loan.id),
+        },
+      });
+
+      logger.info('Merchant Link Revoked', { linkId, userId, cancelledLoans: awaiting.length });
+
+      const revoked = await prisma.merchantCustomer.findUnique({ where: { id: linkId }, select: LINK_SELECT });
+      return { ...revoked, cancelledLoans: awaiting.length };
+    } catch (error) {
+      logger.error('Merchant Link Revoke Failed', { linkId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the merchant holds the customer's consent
+   */
+  async assertActiveLink(merchantId, customerId) {
+    const link = await prisma.merchantCustomer.findUnique({
+      where: { merchantId_customerId: { merchantId, customerId } },
+      select: { status: true },
+    });
+
+    if (!link || link.status !== 'ACTIVE') {
+      const error = new Error('Customer has not authorized you to apply on their behalf');
+      error.status = 403;
+      error.data = { linkStatus: link?.status || null };
+      throw error;
+    }
+  }
+
+  /**
+   * Load a link visible to one of its two parties (404 otherwise)
+   */
+  async getLinkFor(linkId, userId) {
+    const link = await prisma.merchantCustomer.findUnique({
+      where: { id: linkId },
+      select: { id: true, merchantId: true, customerId: true, status: true },
+    });
+
+    if (!link || (link.merchantId !== userId && link.customerId !== userId)) {
+      const error = new Error('Merchant link not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return link;
+  }
+}
+
+module.exports = new MerchantCustomerService();
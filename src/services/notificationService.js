@@ -0,0 +1,219 @@
+const { PrismaClient } = require('@prisma/client');
+const outboxService = require('./outboxService');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Notification templates per domain event.
+ * Each returns the recipients and the message used in-app and on outbound channels.
+ */
+const NOTIFICATION_TEMPLATES = {
+  [DOMAIN_EVENTS.LOAN_SUBMITTED]: (loan) => ({
+    recipients: [loan.applicantId, loan.merchantId],
+    type: 'LOAN_SUBMITTED',
+    title: 'Loan application submitted',
+    message: `Your ${loan.type.toLowerCase()} loan application for ${formatAmount(loan.amount)} has been submitted`,
+  }),
+  [DOMAIN_EVENTS.LOAN_PROXY_REQUESTED]: (loan) => ({
+    recipients: [loan.applicantId],
+    type: 'LOAN_PROXY_REQUESTED',
+    title: 'Approve loan application',
+    message: `A merchant has applied for a ${loan.type.toLowerCase()} loan of ${formatAmount(loan.amount)} on your behalf. Please approve or decline it`,
+  }),
+  [DOMAIN_EVENTS.LOAN_APPROVED]: (loan) => ({
+    recipients: [loan.applicantId, loan.merchantId],
+    type: 'LOAN_APPROVED',
+    title: 'Loan approved',
+    message: `Your ${loan.type.toLowerCase()} loan for ${formatAmount(loan.amount)} has been approved`,
+  }),
+  [DOMAIN_EVENTS.LOAN_REJECTED]: (loan) => ({
+    recipients: [loan.applicantId, loan.merchantId],
+    type: 'LOAN_REJECTED',
+    title: 'Loan application rejected',
+    message: `Your ${loan.type.toLowerCase()} loan application for ${formatAmount(loan.amount)} was rejected`,
+  }),
+  [DOMAIN_EVENTS.LOAN_DISBURSED]: (loan) => ({
+    recipients: [loan.applicantId, loan.merchantId],
+    type: 'LOAN_DISBURSED',
+    title: 'Loan disbursed',
+    message: `${formatAmount(loan.amount)} has been disbursed for your ${loan.type.toLowerCase()} loan`,
+  }),
+  [DOMAIN_EVENTS.LOAN_CLOSED]: (loan) => ({
+    recipients: [loan.applicantId, loan.merchantId],
+    type: 'LOAN_CLOSED',
+    title: 'Loan closed',
+    message: `Your ${loan.type.toLowerCase()} loan for ${formatAmount(loan.amount)} has been closed`,
+  }),
+  [DOMAIN_EVENTS.KYC_VERIFIED]: (doc) => ({
+    recipients: [doc.userId],
+    type: 'KYC_VERIFIED',
+    title: 'KYC document verified',
+    message: `Your ${doc.docTypeName} has been verified`,
+  }),
+  [DOMAIN_EVENTS.KYC_REJECTED]: (doc) => ({
+    recipients: [doc.userId],
+    type: 'KYC_REJECTED',
+    title: 'KYC document rejected',
+    message: `Your ${doc.docTypeName} was rejected: ${doc.rejection ? doc.rejection.reason : doc.notes}. Please upload a new version`,
+  }),
+  [DOMAIN_EVENTS.MERCHANT_LINK_REQUESTED]: (link) => ({
+    recipients: [link.customerId],
+    type: 'MERCHANT_LINK_REQUESTED',
+    title: 'Merchant link request',
+    message: `${link.merchantName} would like to apply for loans on your behalf. Please approve or decline the request`,
+  }),
+};
+
+class NotificationService {
+  /**
+   * Subscribe notification templates to domain events:
+   * an in-app row plus outbound (email/SMS/push) messages via the outbox
+   */
+  subscribeToDomainEvents() {
+    Object.entries(NOTIFICATION_TEMPLATES).forEach(([eventName, template]) => {
+      domainEvents.subscribe(eventName, async (payload) => {
+        const { recipients, type, title, message } = template(payload);
+        const data = { event: eventName, loanId: payload.loanId, kycDocId: payload.kycDocId, linkId: payload.linkId };
+
+        // De-duplicate (e.g. merchant who is also the applicant) and drop empty slots
+        const userIds = [...new Set(recipients.filter(Boolean))];
+        await Promise.all(userIds.map(async (userId) => {
+          await this.createNotification(userId, type, message, data);
+          await outboxService.enqueue(userId, { type, subject: title, body: message, payload: data });
+        }));
+      });
+    });
+
+    logger.info('Notification Handlers Registered', {
+      events: Object.keys(NOTIFICATION_TEMPLATES)
+    });
+  }
+
+  /**
+   * Create an in-app notification
+   */
+  async createNotification(userId, type, message, data = null) {
+    try {
+      const notification = await prisma.notification.create({
+        data: {
+          userId,
+          type,
+          message,
+          data: data ?? undefined,
+          status: 'unread',
+        },
+        select: { id: true, type: true, createdAt: true },
+      });
+
+      logger.info('Notification Created', {
+        notificationId: notification.id,
+        userId,
+        type
+      });
+
+      return notification;
+    } catch (error) {
+      logger.error('Create Notification Failed', {
+        userId,
+        type,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's notifications with unread count
+   */
+  async getUserNotifications(userId, filters = {}) {
+    try {
+      const whereClause = { userId };
+      if (filters.status) {
+        whereClause.status = filters.status;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        prisma.notification.findMany({
+          where: whereClause,
+          orderBy: { createdAt: 'desc' },
+          skip: filters.offset || 0,
+          take: filters.limit || 20,
+        }),
+        prisma.notification.count({ where: whereClause }),
+        prisma.notification.count({ where: { userId, status: 'unread' } }),
+      ]);
+
+      logger.info('Notifications Retrieved', {
+        userId,
+        count: notifications.length,
+        unreadCount
+      });
+
+      return { notifications, total, unreadCount };
+    } catch (error) {
+      logger.error('Get Notifications Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one notification as read (must belong to the user)
+   */
+  async markAsRead(notificationId, userId) {
+    try {
+      const { count } = await prisma.notification.updateMany({
+        where: { id: notificationId, userId },
+        data: { status: 'read', readAt: new Date() },
+      });
+
+      if (count === 0) {
+        const error = new Error('Notification not found');
+        error.status = 404;
+        throw error;
+      }
+
+      logger.info('Notification Marked Read', { notificationId, userId });
+
+      return this.getUnreadCount(userId);
+    } catch (error) {
+      logger.error('Mark Notification Read Failed', {
+        notificationId,
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   */
+  async markAllAsRead(userId) {
+    try {
+      const { count } = await prisma.notification.updateMany({
+        where: { userId, status: 'unread' },
+        data: { status: 'read', readAt: new Date() },
+      });
+
+      logger.info('All Notifications Marked Read', { userId, count });
+
+      return count;
+    } catch (error) {
+      logger.error('Mark All Notifications Read Failed', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async getUnreadCount(userId) {
+    return prisma.notification.count({ where: { userId, status: 'unread' } });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,280 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const auditService = require('./auditService');
+const { getChannelAdapter } = require('./channels');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10');
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60');
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR || '5');
+
+/**
+ * Per-channel settings: the User fields involved and the delivery channel
+ */
+const OTP_CHANNELS = {
+  EMAIL: { targetField: 'email', flag: 'isEmailVerified', deliveryChannel: 'EMAIL', label: 'email address' },
+  PHONE: { targetField: 'phone', flag: 'isPhoneVerified', deliveryChannel: 'SMS', label: 'phone number' },
+};
+
+class OtpService {
+  /**
+   * Send a fresh code for the user's current email or phone.
+   * Earlier unused codes for the channel stop working.
+   */
+  async sendOtp(userId, channel) {
+    const config = OTP_CHANNELS[channel];
+
+    try {
+      const user = await this.getUser(userId);
+
+      if (user[config.flag]) {
+        const error = new Error(`Your ${config.label} is already verified`);
+        error.status = 409;
+        throw error;
+      }
+
+      await this.assertCanSend(userId, channel);
+
+      const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+      const target = user[config.targetField];
+      const now = new Date();
+
+      const otp = await prisma.$transaction(async (tx) => {
+        await tx.verificationOtp.updateMany({
+          where: { userId, channel, consumedAt: null },
+          data: { consumedAt: now },
+        });
+
+        return tx.verificationOtp.create({
+          data: {
+            userId,
+            channel,
+            target,
+            codeHash: this.hashCode(target, code),
+            maxAttempts: OTP_MAX_ATTEMPTS,
+            expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+          },
+          select: { id: true, expiresAt: true },
+        });
+      });
+
+      // Sent directly rather than through the outbox so the code is never stored in clear
+      try {
+        await getChannelAdapter(config.deliveryChannel).send({
+          id: otp.id,
+          channel: config.deliveryChannel,
+          recipient: target,
+          subject: 'Your verification code',
+          body: `Your verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+          payload: null,
+        });
+      } catch (sendError) {
+        // Undo the send: earlier codes work again and the attempt doesn't count toward the limits
+        await prisma.$transaction([
+          prisma.verificationOtp.delete({ where: { id: otp.id } }),
+          prisma.verificationOtp.updateMany({
+            where: { userId, channel, consumedAt: now },
+            data: { consumedAt: null },
+          }),
+        ]);
+
+        logger.error('Verification Code Delivery Failed', {
+          userId,
+          channel,
+          error: sendError.message,
+        });
+
+        const error = new Error(`We couldn't send a code to your ${config.label}, please try again shortly`);
+        error.status = 502;
+        throw error;
+      }
+
+      logger.info('Verification Code Sent', { userId, channel, otpId: otp.id });
+
+      return { channel, expiresAt: otp.expiresAt };
+    } catch (error) {
+      logger.error('Send Verification Code Failed', { userId, channel, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a code and mark the email or phone as verified
+   */
+  async verifyOtp(userId, channel, code) {
+    const config = OTP_CHANNELS[channel];
+
+    try {
+      const user = await this.getUser(userId);
+
+      if (user[config.flag]) {
+        return { channel, verified: true, alreadyVerified: true };
+      }
+
+      const now = new Date();
+      const otp = await prisma.verificationOtp.findFirst({
+        where: { userId, channel, consumedAt: null },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      // A code sent to a previous email/phone doesn't prove the current one
+      if (!otp || otp.expiresAt <= now || otp.target !== user[config.targetField]) {
+        const error = new Error('Verification code has expired, please request a new one');
+        error.status = 400;
+        throw error;
+      }
+
+      // Count the attempt before comparing so parallel guesses can't exceed the limit
+      const { count } = await prisma.verificationOtp.updateMany({
+        where: { id: otp.id, consumedAt: null, attempts: { lt: otp.maxAttempts } },
+        data: { attempts: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        await this.consume(otp.id);
+        const error = new Error('Too many incorrect attempts, please request a new code');
+        error.status = 429;
+        throw error;
+      }
+
+      const expected = Buffer.from(otp.codeHash, 'hex');
+      const actual = Buffer.from(this.hashCode(otp.target, code), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        const attemptsRemaining = otp.maxAttempts - otp.attempts - 1;
+        if (attemptsRemaining <= 0) {
+          await this.consume(otp.id);
+        }
+
+        logger.warn('Verification Code Rejected', { userId, channel, attemptsRemaining });
+
+        const error = new Error('Incorrect verification code');
+        error.status = 400;
+        error.data = { attemptsRemaining };
+        throw error;
+      }
+
+      await prisma.$transaction([
+        prisma.verificationOtp.update({
+          where: { id: otp.id },
+          data: { consumedAt: now },
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { [config.flag]: true },
+        }),
+      ]);
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: channel === 'EMAIL' ? 'USER_EMAIL_VERIFIED' : 'USER_PHONE_VERIFIED',
+        actorId: userId,
+        details: { target: otp.target },
+      });
+
+      logger.info('Verification Code Accepted', { userId, channel });
+
+      return { channel, verified: true, alreadyVerified: false };
+    } catch (error) {
+      logger.error('Verify Code Failed', { userId, channel, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send codes for every unverified channel (after signup). Never throws.
+   */
+  async sendInitialOtps(userId) {
+    const results = await Promise.allSettled(
+      Object.keys(OTP_CHANNELS).map(channel => this.sendOtp(userId, channel))
+    );
+
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.channel);
+  }
+
+  /**
+   * Throw 403 unless the user's phone number is verified.
+   * onBehalf: the caller is a merchant applying for this (customer) user.
+   */
+  async assertPhoneVerified(userId, { onBehalf = false } = {}) {
+    const user = await this.getUser(userId);
+
+    if (!user.isPhoneVerified) {
+      const error = new Error(onBehalf
+        ? 'The customer must verify their phone number before a loan can be applied for on their behalf'
+        : 'Please verify your phone number before applying for a loan');
+      error.status = 403;
+      error.data = { nextStep: 'POST /api/v1/auth/otp/send with channel PHONE' };
+      throw error;
+    }
+  }
+
+  /**
+   * Resend cooldown and hourly cap per user and channel
+   */
+  async assertCanSend(userId, channel) {
+    const recent = await prisma.verificationOtp.findMany({
+      where: {
+        userId,
+        channel,
+        createdAt: { gt: new Date(Date.now() - 60 * 60 * 1000) },
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+    });
+
+    const cooldownEndsAt = recent.length
+      ? recent[0].createdAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000
+      : 0;
+
+    if (cooldownEndsAt > Date.now() || recent.length >= OTP_MAX_PER_HOUR) {
+      const error = new Error('Please wait before requesting another code');
+      error.status = 429;
+      error.data = {
+        retryAfterSeconds: recent.length >= OTP_MAX_PER_HOUR
+          ? Math.ceil((recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000 - Date.now()) / 1000)
+          : Math.ceil((cooldownEndsAt - Date.now()) / 1000),
+      };
+      throw error;
+    }
+  }
+
+  async getUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, phone: true, isEmailVerified: true, isPhoneVerified: true },
+    });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  async consume(otpId) {
+    await prisma.verificationOtp.updateMany({
+      where: { id: otpId, consumedAt: null },
+      data: { consumedAt: new Date() },
+    });
+  }
+
+  /**
+   * HMAC with a server secret: a leaked table can't be brute-forced offline
+   */
+  hashCode(target, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${target}:${code}`).digest('hex');
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,254 @@
+const { PrismaClient } = require('@prisma/client');
+const { CHANNELS, getChannelAdapter } = require('./channels');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE || '20');
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '15000');
+const OUTBOX_BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS || '30000');
+const OUTBOX_BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Rows left in SENDING longer than this (e.g. process crashed) are retried
+const OUTBOX_SENDING_LEASE_MS = 5 * 60 * 1000;
+
+class OutboxService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Queue outbound messages for a user on every channel they have enabled
+   */
+  async enqueue(userId, { type, subject, body, payload = null }) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          email: true,
+          phone: true,
+          notificationPreference: true,
+        },
+      });
+
+      if (!user) {
+        return [];
+      }
+
+      const preferences = user.notificationPreference || this.defaultPreferences();
+      const recipients = {
+        EMAIL: preferences.email ? user.email : null,
+        SMS: preferences.sms ? user.phone : null,
+        PUSH: preferences.push ? preferences.pushToken : null,
+      };
+
+      const rows = CHANNELS
+        .filter(channel => recipients[channel])
+        .map(channel => ({
+          userId,
+          channel,
+          recipient: recipients[channel],
+          type,
+          subject,
+          body,
+          payload: payload ?? undefined,
+        }));
+
+      if (rows.length > 0) {
+        await prisma.notificationOutbox.createMany({ data: rows });
+      }
+
+      logger.info('Outbound Notifications Queued', {
+        userId,
+        type,
+        channels: rows.map(row => row.channel)
+      });
+
+      return rows.map(row => row.channel);
+    } catch (error) {
+      logger.error('Enqueue Outbound Notification Failed', {
+        userId,
+        type,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver one batch of due messages. Failures are retried with
+   * exponential backoff until maxAttempts, then marked FAILED.
+   */
+  async processOutbox(batchSize = OUTBOX_BATCH_SIZE) {
+    const now = new Date();
+    const due = await prisma.notificationOutbox.findMany({
+      where: {
+        OR: [
+          { status: 'PENDING', nextAttemptAt: { lte: now } },
+          { status: 'SENDING', updatedAt: { lt: new Date(now.getTime() - OUTBOX_SENDING_LEASE_MS) } },
+        ],
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: batchSize,
+    });
+
+    const summary = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+    for (const message of due) {
+      // Claim the row so a second worker can't send it as well
+      const { count } = await prisma.notificationOutbox.updateMany({
+        where: { id: message.id, status: message.status, updatedAt: message.updatedAt },
+        data: { status: 'SENDING' },
+      });
+
+      if (count === 0) {
+        summary.skipped++;
+        continue;
+      }
+
+      const attempts = message.attempts + 1;
+
+      try {
+        const adapter = getChannelAdapter(message.channel);
+        const result = await adapter.send({
+          id: message.id,
+          channel: message.channel,
+          recipient: message.recipient,
+          subject: message.subject,
+          body: message.body,
+          payload: message.payload,
+        });
+
+        await prisma.notificationOutbox.update({
+          where: { id: message.id },
+          data: {
+            status: 'SENT',
+            attempts,
+            sentAt: new Date(),
+            lastError: null,
+            providerMessageId: result?.providerMessageId || null,
+          },
+        });
+        summary.sent++;
+      } catch (error) {
+        const exhausted = attempts >= message.maxAttempts;
+
+        await prisma.notificationOutbox.update({
+          where: { id: message.id },
+          data: {
+            status: exhausted ? 'FAILED' : 'PENDING',
+            attempts,
+            lastError: error.message.substring(0, 500),
+            nextAttemptAt: new Date(Date.now() + this.backoffDelay(attempts)),
+          },
+        });
+
+        logger.warn('Outbound Notification Delivery Failed', {
+          outboxId: message.id,
+          channel: message.channel,
+          attempts,
+          exhausted,
+          error: error.message
+        });
+
+        if (exhausted) {
+          summary.failed++;
+        } else {
+          summary.retrying++;
+        }
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info('Outbox Processed', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped at 1h
+   */
+  backoffDelay(attempts) {
+    return Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** (attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+  }
+
+  /**
+   * Start polling the outbox in-process
+   */
+  start(intervalMs = OUTBOX_POLL_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      if (this.processing) {
+        return;
+      }
+
+      this.processing = true;
+      try {
+        await this.processOutbox();
+      } catch (error) {
+        logger.error('Outbox Worker Failed', { error: error.message });
+      } finally {
+        this.processing = false;
+      }
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Outbox Worker Started', { intervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get a user's channel preferences (defaults if never saved)
+   */
+  async getPreferences(userId) {
+    const preferences = await prisma.notificationPreference.findUnique({
+      where: { userId },
+      select: { email: true, sms: true, push: true, pushToken: true, updatedAt: true },
+    });
+
+    return preferences || this.defaultPreferences();
+  }
+
+  /**
+   * Update a user's channel preferences
+   */
+  async updatePreferences(userId, updates) {
+    try {
+      const preferences = await prisma.notificationPreference.upsert({
+        where: { userId },
+        create: { userId, ...updates },
+        update: updates,
+        select: { email: true, sms: true, push: true, pushToken: true, updatedAt: true },
+      });
+
+      logger.info('Notification Preferences Updated', {
+        userId,
+        updatedFields: Object.keys(updates)
+      });
+
+      return preferences;
+    } catch (error) {
+      logger.error('Update Notification Preferences Failed', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  defaultPreferences() {
+    return { email: true, sms: true, push: false, pushToken: null };
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+const { getChannelAdapter } = require('./channels');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '30');
+// Reset emails per account per hour; extra requests are silently dropped
+const RESET_MAX_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR || '3');
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3001/reset-password';
+
+class PasswordResetService {
+  /**
+   * Issue a reset token and send it to the account's email.
+   * Resolves the same way whether or not the account exists: both paths do
+   * the same lookup and the per-account work runs after the response.
+   */
+  async requestReset(email, requestedIp = null) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { email },
+        select: { id: true, email: true, status: true },
+      });
+
+      if (!user || user.status !== 'ACTIVE') {
+        logger.info('Password Reset Requested for Unknown or Inactive Account', { requestedIp });
+        return;
+      }
+
+      // Not awaited: response timing must not depend on whether the account exists
+      this.issueToken(user, requestedIp).catch((error) => {
+        logger.error('Password Reset Issue Failed', { userId: user.id, error: error.message });
+      });
+    } catch (error) {
+      logger.error('Password Reset Request Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create, audit and email a reset token, unless the account is throttled
+   */
+  async issueToken(user, requestedIp) {
+    const recentRequests = await prisma.passwordResetToken.count({
+      where: {
+        userId: user.id,
+        createdAt: { gt: new Date(Date.now() - 60 * 60 * 1000) },
+      },
+    });
+
+    if (recentRequests >= RESET_MAX_PER_HOUR) {
+      logger.warn('Password Reset Throttled', { userId: user.id, requestedIp });
+      return;
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    const resetToken = await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: tokenService.hashToken(rawToken),
+        expiresAt,
+        requestedIp,
+      },
+      select: { id: true },
+    });
+
+    await auditService.record({
+      entityType: 'USER',
+      entityId: user.id,
+      action: 'USER_PASSWORD_RESET_REQUESTED',
+      actorId: user.id,
+      details: { expiresAt },
+    });
+
+    // Sent directly rather than through the outbox so the raw token is never stored
+    await this.deliver(user, resetToken.id, rawToken, expiresAt).catch((error) => {
+      logger.error('Password Reset Delivery Failed', { userId: user.id, error: error.message });
+    });
+
+    logger.info('Password Reset Token Issued', { userId: user.id, expiresAt });
+  }
+
+  /**
+   * Consume a reset token and set a new password.
+   * All sessions and any other outstanding reset tokens are invalidated.
+   */
+  async resetPassword(rawToken, newPassword) {
+    try {
+      const tokenHash = tokenService.hashToken(rawToken);
+      const now = new Date();
+
+      const userId = await prisma.$transaction(async (tx) => {
+        const stored = await tx.passwordResetToken.findUnique({
+          where: { tokenHash },
+          select: { id: true, userId: true, user: { select: { status: true } } },
+        });
+
+        // Claim the token; a concurrent reset with the same token matches nothing
+        const { count } = stored
+          ? await tx.passwordResetToken.updateMany({
+            where: { id: stored.id, usedAt: null, expiresAt: { gt: now } },
+            data: { usedAt: now },
+          })
+          : { count: 0 };
+
+        if (count === 0 || stored.user.status !== 'ACTIVE') {
+          const error = new Error('This password reset link is invalid or has expired');
+          error.status = 400;
+          throw error;
+        }
+
+        const saltRounds = 12;
+        await tx.user.update({
+          where: { id: stored.userId },
+          data: { passwordHash: await bcrypt.hash(newPassword, saltRounds) },
+        });
+
+        await tx.passwordResetToken.updateMany({
+          where: { userId: stored.userId, usedAt: null },
+          data: { usedAt: now },
+        });
+
+        return stored.userId;
+      });
+
+      const revokedSessions = await tokenService.revokeUserSessions(userId, 'PASSWORD_RESET');
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_PASSWORD_RESET',
+        actorId: userId,
+        details: { revokedSessions },
+      });
+
+      logger.info('Password Reset Completed', { userId, revokedSessions });
+    } catch (error) {
+      logger.error('Password Reset Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send the reset link over the configured EMAIL channel adapter
+   */
+  async deliver(user, resetTokenId, rawToken, expiresAt) {
+    const link = `${RESET_URL}?token=${encodeURIComponent(rawToken)}`;
+
+    await getChannelAdapter('EMAIL').send({
+      id: resetTokenId,
+      channel: 'EMAIL',
+      recipient: user.email,
+      subject: 'Reset your password',
+      body: `Use this link to reset your password: ${link}\n` +
+        `It expires at ${expiresAt.toISOString()} and can be used once. ` +
+        'If you did not request a reset, you can ignore this email.',
+      payload: null,
+    });
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,25 @@
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Rate limit store interface (all methods async):
+ *   increment(key, windowMs) => { count, resetAt } for the current window
+ *   reset(key)               => clear the key's window
+ */
+const STORES = {
+  memory: createMemoryStore,
+};
+
+/**
+ * Build the store named by RATE_LIMIT_STORE (default memory)
+ */
+const createRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = { createRateLimitStore };
@@ -0,0 +1,36 @@
+/**
+ * In-process fixed-window counters. Not shared between instances, so each
+ * instance enforces limits separately; use a shared store when scaling out.
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,288 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+const loanService = require('./loanService');
+const { allocatePayment, summarizeBalance } = require('../utils/repaymentAllocator');
+const { TRANSITION_ACTIONS, assertTransition } = require('../utils/loanStateMachine');
+const { DOMAIN_EVENTS, domainEvents } = require('../utils/domainEvents');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const INSTALLMENT_SELECT = {
+  id: true,
+  installmentNumber: true,
+  dueDate: true,
+  emiAmount: true,
+  principalAmount: true,
+  interestAmount: true,
+  paidPrincipal: true,
+  paidInterest: true,
+  status: true,
+};
+
+class RepaymentService {
+  /**
+   * Record a payment against a disbursed loan.
+   * source is 'BANKER' (recordedById set) or 'WEBHOOK'.
+   * A repeated reference returns the original repayment instead of paying twice.
+   * The payment that clears the balance closes the loan in the same transaction.
+   */
+  async recordRepayment(loanId, paymentData, source, recordedById = null) {
+    try {
+      if (paymentData.reference) {
+        const existing = await prisma.repayment.findUnique({
+          where: { reference: paymentData.reference },
+        });
+
+        if (existing) {
+          if (existing.loanId !== loanId) {
+            const error = new Error('Payment reference already used for another loan');
+            error.status = 409;
+            throw error;
+          }
+
+          logger.info('Duplicate Repayment Ignored', {
+            loanId,
+            reference: paymentData.reference
+          });
+
+          const balance = await this.getBalance(loanId);
+          // Loans paid off before closing moved into the payment transaction
+          const closed = balance.isFullyPaid && await this.closeIfDisbursed(loanId, recordedById);
+
+          return { repayment: existing, balance, closed, duplicate: true };
+        }
+      }
+
+      const { repayment, installments, loan, closed } = await prisma.$transaction(async (tx) => {
+        // Serialise payments for the same loan
+        await tx.$queryRaw`SELECT id FROM "Loan" WHERE id = ${loanId} FOR UPDATE`;
+
+        const loan = await tx.loan.findUnique({
+          where: { id: loanId },
+          select: { id: true, type: true, amount: true, status: true, applicantId: true, merchantId: true },
+        });
+
+        if (!loan) {
+          const error = new Error('Loan not found');
+          error.status = 404;
+          throw error;
+        }
+
+        if (loan.status !== 'DISBURSED') {
+          const error = new Error(`Repayments can only be recorded for disbursed loans (loan is ${loan.status})`);
+          error.status = 409;
+          throw error;
+        }
+
+        const current = await tx.loanInstallment.findMany({
+          where: { loanId },
+          orderBy: { installmentNumber: 'asc' },
+          select: INSTALLMENT_SELECT,
+        });
+
+        const result = allocatePayment(current, paymentData.amount);
+
+        if (result.unallocated > 0) {
+          const error = new Error(
+            `Payment exceeds outstanding balance by ₹${result.unallocated}`
+          );
+          error.status = 400;
+          throw error;
+        }
+
+        const paidAt = paymentData.paidAt ? new Date(paymentData.paidAt) : new Date();
+
+        for (const item of result.allocation) {
+          await tx.loanInstallment.update({
+            where: { id: item.installmentId },
+            data: {
+              paidInterest: item.paidInterest,
+              paidPrincipal: item.paidPrincipal,
+              status: item.status,
+              paidAt: item.status === 'PAID' ? paidAt : null,
+            },
+          });
+        }
+
+        const created = await tx.repayment.create({
+          data: {
+            loanId,
+            amount: paymentData.amount,
+            principalPaid: result.principalPaid,
+            interestPaid: result.interestPaid,
+            allocation: result.allocation.map(({ installmentNumber, interest, principal, status }) => ({
+              installmentNumber,
+              interest,
+              principal,
+              status,
+            })),
+            method: paymentData.method || null,
+            reference: paymentData.reference || null,
+            source,
+            recordedById,
+            notes: paymentData.notes || null,
+            paidAt,
+          },
+        });
+
+        const updated = await tx.loanInstallment.findMany({
+          where: { loanId },
+          select: INSTALLMENT_SELECT,
+        });
+
+        // Conditional on DISBURSED so a concurrent close isn't repeated
+        let closed = false;
+        if (summarizeBalance(updated).isFullyPaid) {
+          assertTransition(loan.status, 'CLOSED', 'SYSTEM');
+          const { count } = await tx.loan.updateMany({
+            where: { id: loanId, status: 'DISBURSED' },
+            data: { status: 'CLOSED', claimExpiresAt: null },
+          });
+          closed = count > 0;
+        }
+
+        return { repayment: created, installments: updated, loan, closed };
+      });
+
+      const balance = summarizeBalance(installments);
+
+      await auditService.record({
+        entityType: 'LOAN',
+        entityId: loanId,
+        action: 'LOAN_REPAYMENT_RECORDED',
+        actorId: recordedById,
+        details: {
+          repaymentId: repayment.id,
+          amount: repayment.amount,
+          principalPaid: repayment.principalPaid,
+          interestPaid: repayment.interestPaid,
+          source,
+          reference: repayment.reference,
+          outstandingPrincipal: balance.outstandingPrincipal,
+        },
+      });
+
+      if (closed) {
+        await this.announceClosed(loan, recordedById);
+      }
+
+      logger.info('Repayment Recorded', {
+        loanId,
+        repaymentId: repayment.id,
+        amount: repayment.amount,
+        source,
+        outstandingPrincipal: balance.outstandingPrincipal,
+        closed
+      });
+
+      return { repayment, balance, closed, duplicate: false };
+    } catch (error) {
+      logger.error('Record Repayment Failed', {
+        loanId,
+        source,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Audit and publish a close made inside the payment transaction
+   */
+  async announceClosed(loan, actorId) {
+    const notes = 'Loan fully repaid';
+
+    await auditService.record({
+      entityType: 'LOAN',
+      entityId: loan.id,
+      action: TRANSITION_ACTIONS.CLOSED,
+      actorId,
+      details: {
+        notes,
+        diff: auditService.diff({ status: loan.status }, { status: 'CLOSED' }),
+      },
+    });
+
+    await domainEvents.publish(DOMAIN_EVENTS[TRANSITION_ACTIONS.CLOSED], {
+      loanId: loan.id,
+      applicantId: loan.applicantId,
+      merchantId: loan.merchantId,
+      type: loan.type,
+      amount: loan.amount,
+      previousStatus: loan.status,
+      status: 'CLOSED',
+      actorId,
+      notes,
+    });
+
+    logger.info('Loan Status Updated', {
+      loanId: loan.id,
+      previousStatus: loan.status,
+      newStatus: 'CLOSED',
+      actorId,
+      actor: 'SYSTEM',
+      notes,
+    });
+  }
+
+  /**
+   * Close a fully repaid loan still left DISBURSED; false if already closed
+   */
+  async closeIfDisbursed(loanId, actorId = null) {
+    const loan = await prisma.loan.findUnique({
+      where: { id: loanId },
+      select: { status: true },
+    });
+    if (loan?.status !== 'DISBURSED') {
+      return false;
+    }
+
+    try {
+      await loanService.updateLoanStatus(loanId, 'CLOSED', actorId, 'Loan fully repaid', 'SYSTEM');
+      return true;
+    } catch (error) {
+      // Closed concurrently
+      if (error.status === 409) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Outstanding balance summary for a loan
+   */
+  async getBalance(loanId) {
+    const installments = await prisma.loanInstallment.findMany({
+      where: { loanId },
+      select: INSTALLMENT_SELECT,
+    });
+
+    return summarizeBalance(installments);
+  }
+
+  /**
+   * Repayment history and balance (access checked like loan status)
+   */
+  async getRepayments(loanId, userId, role = null) {
+    try {
+      const loan = await loanService.getLoanById(loanId, userId, role);
+
+      const [repayments, balance] = await Promise.all([
+        prisma.repayment.findMany({
+          where: { loanId },
+          orderBy: { paidAt: 'desc' },
+        }),
+        this.getBalance(loanId),
+      ]);
+
+      return { loanId, status: loan.status, repayments, balance };
+    } catch (error) {
+      logger.error('Get Repayments Failed', { loanId, userId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RepaymentService();
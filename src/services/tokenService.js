@@ -0,0 +1,219 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const jwtUtil = require('../utils/jwt');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS || '30');
+
+class TokenService {
+  /**
+   * Start a new session and issue an access/refresh token pair
+   */
+  async issueTokens(user, meta = {}) {
+    try {
+      const session = await prisma.session.create({
+        data: {
+          userId: user.id,
+          userAgent: meta.userAgent || null,
+          ipAddress: meta.ipAddress || null,
+        },
+        select: { id: true },
+      });
+
+      const refreshToken = await this.createRefreshToken(prisma, session.id);
+      const accessToken = jwtUtil.generateAccessToken(user, session.id);
+
+      logger.info('Session Started', {
+        userId: user.id,
+        sessionId: session.id
+      });
+
+      return { accessToken, refreshToken, sessionId: session.id };
+    } catch (error) {
+      logger.error('Issue Tokens Failed', {
+        userId: user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (rotation).
+   * Presenting a token that was already used revokes the whole session.
+   */
+  async rotateRefreshToken(rawToken) {
+    try {
+      const tokenHash = this.hashToken(rawToken);
+      const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash },
+        include: {
+          session: {
+            include: {
+              user: {
+                select: { id: true, email: true, role: true },
+              },
+            },
+          },
+        },
+      });
+
+      if (!stored) {
+        throw this.unauthorized('Invalid refresh token');
+      }
+
+      if (stored.session.revokedAt) {
+        throw this.unauthorized('Refresh token has been revoked');
+      }
+
+      if (stored.usedAt) {
+        await this.revokeSession(stored.sessionId, 'REFRESH_TOKEN_REUSE');
+        logger.warn('Refresh Token Reuse Detected', {
+          sessionId: stored.sessionId,
+          userId: stored.session.userId
+        });
+        throw this.unauthorized('Refresh token reuse detected, session revoked');
+      }
+
+      if (stored.expiresAt < new Date()) {
+        throw this.unauthorized('Refresh token has expired');
+      }
+
+      const refreshToken = await prisma.$transaction(async (tx) => {
+        // Guard against two concurrent refreshes both winning
+        const claimed = await tx.refreshToken.updateMany({
+          where: { id: stored.id, usedAt: null },
+          data: { usedAt: new Date() },
+        });
+
+        if (claimed.count === 0) {
+          return null;
+        }
+
+        const next = await this.createRefreshToken(tx, stored.sessionId);
+        await tx.refreshToken.update({
+          where: { id: stored.id },
+          data: { replacedById: next.id },
+        });
+        return next;
+      });
+
+      if (!refreshToken) {
+        await this.revokeSession(stored.sessionId, 'REFRESH_TOKEN_REUSE');
+        throw this.unauthorized('Refresh token reuse detected, session revoked');
+      }
+
+      const accessToken = jwtUtil.generateAccessToken(stored.session.user, stored.sessionId);
+
+      logger.info('Refresh Token Rotated', {
+        sessionId: stored.sessionId,
+        userId: stored.session.userId
+      });
+
+      return { accessToken, refreshToken, sessionId: stored.sessionId };
+    } catch (error) {
+      logger.error('Refresh Token Rotation Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   */
+  async revokeByRefreshToken(rawToken) {
+    try {
+      const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: this.hashToken(rawToken) },
+        select: { sessionId: true },
+      });
+
+      if (!stored) {
+        throw this.unauthorized('Invalid refresh token');
+      }
+
+      await this.revokeSession(stored.sessionId, 'LOGOUT');
+      return stored.sessionId;
+    } catch (error) {
+      logger.error('Logout Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session and every refresh token in its family
+   */
+  async revokeSession(sessionId, reason = 'REVOKED') {
+    await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    logger.info('Session Revoked', { sessionId, reason });
+  }
+
+  /**
+   * Revoke every live session of a user, optionally keeping one
+   */
+  async revokeUserSessions(userId, reason = 'REVOKED', exceptSessionId = null) {
+    const whereClause = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      whereClause.id = { not: exceptSessionId };
+    }
+
+    const { count } = await prisma.session.updateMany({
+      where: whereClause,
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    logger.info('User Sessions Revoked', { userId, reason, count });
+
+    return count;
+  }
+
+  /**
+   * Check whether an access token's session is still live
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true },
+    });
+
+    return Boolean(session && !session.revokedAt);
+  }
+
+  /**
+   * Persist a new refresh token for a session and return the raw value
+   */
+  async createRefreshToken(client, sessionId) {
+    const raw = crypto.randomBytes(48).toString('base64url');
+    const record = await client.refreshToken.create({
+      data: {
+        tokenHash: this.hashToken(raw),
+        sessionId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+      select: { id: true, expiresAt: true },
+    });
+
+    return { id: record.id, token: raw, expiresAt: record.expiresAt };
+  }
+
+  hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  unauthorized(message) {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  }
+}
+
+module.exports = new TokenService();
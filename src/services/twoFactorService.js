@@ -0,0 +1,445 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+const totp = require('../utils/totp');
+const { logger } = require('../middleware/logger');
+
+const prisma = new PrismaClient();
+
+// Roles that cannot log in without 2FA, e.g. "BANKER" or "BANKER,ADMIN" (or NONE)
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'BANKER')
+  .split(',')
+  .map(role => role.trim().toUpperCase())
+  .filter(Boolean);
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'RN Fintech';
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.LOGIN_CHALLENGE_TTL_MINUTES || '5');
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const BACKUP_CODE_COUNT = 10;
+
+const TWO_FACTOR_USER_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  status: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorLastStep: true,
+};
+
+class TwoFactorService {
+  /**
+   * Whether the policy makes 2FA mandatory for a role
+   */
+  isRequiredForRole(role) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(role);
+  }
+
+  /**
+   * Start enrollment for a signed-in user: store a new (not yet enabled)
+   * secret and return it with the otpauth URI
+   */
+  async beginEnrollment(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.twoFactorEnabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.status = 409;
+        throw error;
+      }
+
+      return this.createPendingSecret(user);
+    } catch (error) {
+      logger.error('Begin 2FA Enrollment Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the app. Returns fresh backup codes.
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.twoFactorEnabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.status = 409;
+        throw error;
+      }
+
+      if (!user.twoFactorSecret) {
+        const error = new Error('Start two-factor setup before confirming it');
+        error.status = 400;
+        throw error;
+      }
+
+      await this.consumeTotp(user, code);
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: true },
+      });
+
+      const backupCodes = await this.replaceBackupCodes(userId);
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_2FA_ENABLED',
+        actorId: userId,
+      });
+
+      logger.info('2FA Enabled', { userId });
+
+      return { backupCodes };
+    } catch (error) {
+      logger.error('Confirm 2FA Enrollment Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off (password required; not allowed where the policy mandates it)
+   */
+  async disable(userId, password) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, role: true, passwordHash: true, twoFactorEnabled: true },
+      });
+
+      if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+        const error = new Error('Password is incorrect');
+        error.status = 400;
+        throw error;
+      }
+
+      if (this.isRequiredForRole(user.role)) {
+        const error = new Error(`Two-factor authentication is mandatory for ${user.role} accounts`);
+        error.status = 403;
+        throw error;
+      }
+
+      await prisma.$transaction([
+        prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+        }),
+      ]);
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_2FA_DISABLED',
+        actorId: userId,
+      });
+
+      logger.info('2FA Disabled', { userId });
+    } catch (error) {
+      logger.error('Disable 2FA Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new set of backup codes (current TOTP code required)
+   */
+  async regenerateBackupCodes(userId, code) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (!user.twoFactorEnabled) {
+        const error = new Error('Two-factor authentication is not enabled');
+        error.status = 400;
+        throw error;
+      }
+
+      await this.consumeTotp(user, code);
+      const backupCodes = await this.replaceBackupCodes(userId);
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_2FA_BACKUP_CODES_REGENERATED',
+        actorId: userId,
+      });
+
+      return { backupCodes };
+    } catch (error) {
+      logger.error('Regenerate Backup Codes Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Called after a successful password check. Returns null when no second
+   * step is needed, otherwise a challenge to exchange at /auth/login/2fa.
+   */
+  async startLoginChallenge(user, meta = {}) {
+    const enrollmentRequired = !user.twoFactorEnabled && this.isRequiredForRole(user.role);
+
+    if (!user.twoFactorEnabled && !enrollmentRequired) {
+      return null;
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('base64url');
+    const challenge = await prisma.loginChallenge.create({
+      data: {
+        userId: user.id,
+        tokenHash: tokenService.hashToken(rawToken),
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+        userAgent: meta.userAgent || null,
+        ipAddress: meta.ipAddress || null,
+      },
+      select: { id: true, expiresAt: true },
+    });
+
+    logger.info('Login Challenge Issued', { userId: user.id, challengeId: challenge.id, enrollmentRequired });
+
+    return { challengeToken: rawToken, expiresAt: challenge.expiresAt, enrollmentRequired };
+  }
+
+  /**
+   * Enrollment during login, for users the policy forces into 2FA
+   */
+  async beginChallengeEnrollment(rawChallengeToken) {
+    const challenge = await this.findOpenChallenge(rawChallengeToken);
+    const user = await this.getUser(challenge.userId);
+
+    if (user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.status = 409;
+      throw error;
+    }
+
+    return this.createPendingSecret(user);
+  }
+
+  /**
+   * Exchange a challenge plus a TOTP or backup code for the user.
+   * Completes enrollment when the challenge was issued to an unenrolled user.
+   * Returns { user, backupCodes } (backupCodes only on first enrollment).
+   */
+  async completeLoginChallenge(rawChallengeToken, { code, backupCode }) {
+    try {
+      const challenge = await this.findOpenChallenge(rawChallengeToken);
+
+      const { count } = await prisma.loginChallenge.updateMany({
+        where: { id: challenge.id, consumedAt: null, attempts: { lt: CHALLENGE_MAX_ATTEMPTS } },
+        data: { attempts: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        throw this.challengeError('Too many attempts, please log in again', 429);
+      }
+
+      const user = await this.getUser(challenge.userId);
+      let backupCodes = null;
+
+      if (backupCode) {
+        if (!user.twoFactorEnabled) {
+          throw this.challengeError('Backup codes can only be used once two-factor authentication is set up', 400);
+        }
+        await this.consumeBackupCode(user.id, backupCode);
+      } else {
+        if (!user.twoFactorSecret) {
+          throw this.challengeError('Set up your authenticator app before logging in', 400);
+        }
+        await this.consumeTotp(user, code);
+
+        if (!user.twoFactorEnabled) {
+          await prisma.user.update({
+            where: { id: user.id },
+            data: { twoFactorEnabled: true },
+          });
+          backupCodes = await this.replaceBackupCodes(user.id);
+
+          await auditService.record({
+            entityType: 'USER',
+            entityId: user.id,
+            action: 'USER_2FA_ENABLED',
+            actorId: user.id,
+            details: { duringLogin: true },
+          });
+        }
+      }
+
+      const { count: claimed } = await prisma.loginChallenge.updateMany({
+        where: { id: challenge.id, consumedAt: null },
+        data: { consumedAt: new Date() },
+      });
+
+      if (claimed === 0) {
+        throw this.challengeError('Login challenge was already used, please log in again', 401);
+      }
+
+      logger.info('Login Challenge Completed', {
+        userId: user.id,
+        method: backupCode ? 'BACKUP_CODE' : 'TOTP'
+      });
+
+      return { user, backupCodes };
+    } catch (error) {
+      logger.error('Login Challenge Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new encrypted secret (2FA stays off until a code confirms it)
+   */
+  async createPendingSecret(user) {
+    const secret = totp.generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: this.encryptSecret(secret), twoFactorLastStep: null },
+    });
+
+    logger.info('2FA Enrollment Started', { userId: user.id });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER,
+      }),
+    };
+  }
+
+  /**
+   * Verify a TOTP code and record its time step so it can't be reused
+   */
+  async consumeTotp(user, code) {
+    const step = totp.verifyCode(this.decryptSecret(user.twoFactorSecret), code, {
+      afterStep: user.twoFactorLastStep,
+    });
+
+    const { count } = step === null
+      ? { count: 0 }
+      : await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+        },
+        data: { twoFactorLastStep: step },
+      });
+
+    if (count === 0) {
+      const error = new Error('Invalid authentication code');
+      error.status = 401;
+      throw error;
+    }
+  }
+
+  async consumeBackupCode(userId, backupCode) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: { userId, codeHash: this.hashBackupCode(backupCode), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      const error = new Error('Invalid backup code');
+      error.status = 401;
+      throw error;
+    }
+
+    await auditService.record({
+      entityType: 'USER',
+      entityId: userId,
+      action: 'USER_2FA_BACKUP_CODE_USED',
+      actorId: userId,
+    });
+  }
+
+  /**
+   * Replace all backup codes and return the new plain codes (shown once)
+   */
+  async replaceBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+      prisma.twoFactorBackupCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: this.hashBackupCode(code) })),
+      }),
+    ]);
+
+    return codes;
+  }
+
+  async findOpenChallenge(rawChallengeToken) {
+    const challenge = await prisma.loginChallenge.findUnique({
+      where: { tokenHash: tokenService.hashToken(rawChallengeToken) },
+    });
+
+    if (!challenge || challenge.consumedAt || challenge.expiresAt <= new Date()) {
+      throw this.challengeError('Login challenge has expired, please log in again', 401);
+    }
+
+    return challenge;
+  }
+
+  async getUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: TWO_FACTOR_USER_SELECT,
+    });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  challengeError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  hashBackupCode(code) {
+    const normalized = code.trim().toLowerCase();
+    return crypto.createHmac('sha256', this.secretKey()).update(normalized).digest('hex');
+  }
+
+  /**
+   * TOTP secrets are encrypted with AES-256-GCM: iv.tag.ciphertext (base64url)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.secretKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.secretKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * 32-byte key from TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET
+   */
+  secretKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(source).digest();
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,9 +1,30 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+const assignmentService = require('./assignmentService');
+const { buildCursorQuery, buildPage } = require('../utils/pagination');
 const { logger } = require('../middleware/logger');
 
 const prisma = new PrismaClient();
 
+// Fields an admin sees when managing accounts
+const ADMIN_USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  isEmailVerified: true,
+  isPhoneVerified: true,
+  role: true,
+  status: true,
+  isSupervisor: true,
+  suspendedAt: true,
+  suspendedReason: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
 class UserService {
   /**
    * Create a new user with hashed password
@@ -73,7 +94,11 @@ class UserService {
           email: true,
           passwordHash: true,
           role: true,
+          status: true,
           name: true,
+          isEmailVerified: true,
+          isPhoneVerified: true,
+          twoFactorEnabled: true,
         },
       });
 
@@ -120,7 +145,10 @@ class UserService {
           name: true,
           email: true,
           phone: true,
+          isEmailVerified: true,
+          isPhoneVerified: true,
           role: true,
+          isSupervisor: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -141,7 +169,7 @@ class UserService {
   }
 
   /**
-   * Update user profile
+   * Update user profile (name, phone). A new phone number must be re-verified.
    */
   async updateUserProfile(userId, updateData) {
     try {
@@ -158,6 +186,22 @@ class UserService {
         return { message: 'No valid fields to update' };
       }
 
+      const existing = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { name: true, phone: true, isPhoneVerified: true },
+      });
+
+      if (!existing) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const phoneChanged = updates.phone !== undefined && updates.phone !== existing.phone;
+      if (phoneChanged) {
+        updates.isPhoneVerified = false;
+      }
+
       const user = await prisma.user.update({
         where: { id: userId },
         data: updates,
@@ -166,19 +210,362 @@ class UserService {
           name: true,
           email: true,
           phone: true,
+          isPhoneVerified: true,
           role: true,
           updatedAt: true,
         },
       });
 
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_PROFILE_UPDATED',
+        actorId: userId,
+        details: { diff: auditService.diff(existing, updates) },
+      });
+
       logger.info('User Profile Updated', { 
         userId: user.id, 
-        updatedFields: Object.keys(updates) 
+        updatedFields: Object.keys(updates),
+        phoneChanged
       });
 
-      return user;
+      return { ...user, phoneVerificationRequired: phoneChanged };
     } catch (error) {
       logger.error('Update User Profile Failed', { userId, error: error.message });
+
+      if (error.code === 'P2002') {
+        const errorWithStatus = new Error('Phone number already exists');
+        errorWithStatus.status = 409;
+        throw errorWithStatus;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Change password after checking the current one.
+   * Every other session is revoked; the caller's session stays signed in.
+   */
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, passwordHash: true },
+      });
+
+      if (!user) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const isValid = await bcrypt.compare(currentPassword, user.passwordHash);
+      if (!isValid) {
+        const error = new Error('Current password is incorrect');
+        error.status = 400;
+        throw error;
+      }
+
+      const saltRounds = 12;
+      await prisma.user.update({
+        where: { id: userId },
+        data: { passwordHash: await bcrypt.hash(newPassword, saltRounds) },
+      });
+
+      const revokedSessions = await tokenService.revokeUserSessions(
+        userId,
+        'PASSWORD_CHANGED',
+        currentSessionId
+      );
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_PASSWORD_CHANGED',
+        actorId: userId,
+        details: { revokedSessions },
+      });
+
+      logger.info('Password Changed', { userId, revokedSessions });
+
+      return { revokedSessions };
+    } catch (error) {
+      logger.error('Change Password Failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Account status used by authentication (null if the user no longer exists)
+   */
+  async getAccountStatus(userId) {
+    return prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true, status: true },
+    });
+  }
+
+  /**
+   * Search and page through users (Admin only)
+   * Returns { users, pageInfo, total }
+   */
+  async listUsers(filters = {}) {
+    try {
+      const conditions = [];
+      if (filters.role) {
+        conditions.push({ role: filters.role });
+      }
+      if (filters.status) {
+        conditions.push({ status: filters.status });
+      }
+      if (filters.search) {
+        conditions.push({
+          OR: [
+            { name: { contains: filters.search, mode: 'insensitive' } },
+            { email: { contains: filters.search, mode: 'insensitive' } },
+            { phone: { contains: filters.search } },
+          ],
+        });
+      }
+
+      const whereClause = { AND: conditions };
+      const page = { sortBy: filters.sortBy, sortOrder: filters.sortOrder, cursor: filters.cursor, limit: filters.limit };
+
+      const [records, total] = await Promise.all([
+        prisma.user.findMany({
+          ...buildCursorQuery(whereClause, page),
+          select: ADMIN_USER_SELECT,
+        }),
+        prisma.user.count({ where: whereClause }),
+      ]);
+
+      const { items: users, pageInfo } = buildPage(records, page);
+
+      logger.info('Users Listed', { count: users.length, total, filters });
+
+      return { users, pageInfo, total };
+    } catch (error) {
+      logger.error('List Users Failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user with account management fields (Admin only)
+   */
+  async getUserForAdmin(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: ADMIN_USER_SELECT,
+    });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Create an account of any role, including BANKER and ADMIN (Admin only)
+   */
+  async createUserByAdmin(userData, adminId) {
+    const user = await this.createUser(userData);
+
+    await auditService.record({
+      entityType: 'USER',
+      entityId: user.id,
+      action: 'USER_CREATED',
+      actorId: adminId,
+      details: { role: user.role, email: user.email },
+    });
+
+    return user;
+  }
+
+  /**
+   * Suspend an account and end all of its sessions (Admin only)
+   */
+  async suspendUser(userId, reason, adminId) {
+    try {
+      const existing = await this.getUserForAdmin(userId);
+      this.assertNotSelf(userId, adminId, 'suspend');
+
+      if (existing.status === 'SUSPENDED') {
+        const error = new Error('User is already suspended');
+        error.status = 409;
+        throw error;
+      }
+
+      if (existing.role === 'ADMIN') {
+        await this.assertAnotherActiveAdmin(userId);
+      }
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: {
+          status: 'SUSPENDED',
+          suspendedAt: new Date(),
+          suspendedReason: reason || null,
+        },
+        select: ADMIN_USER_SELECT,
+      });
+
+      const revokedSessions = await tokenService.revokeUserSessions(userId, 'ACCOUNT_SUSPENDED');
+
+      // A suspended banker's loans and KYC documents go back to the queue
+      const releasedClaims = existing.role === 'BANKER'
+        ? await assignmentService.releaseAllForBanker(userId, adminId, 'BANKER_SUSPENDED')
+        : null;
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_SUSPENDED',
+        actorId: adminId,
+        details: {
+          reason: reason || null,
+          revokedSessions,
+          releasedClaims,
+          diff: auditService.diff(existing, { status: user.status }),
+        },
+      });
+
+      logger.info('User Suspended', { userId, adminId, revokedSessions, releasedClaims });
+
+      return user;
+    } catch (error) {
+      logger.error('Suspend User Failed', { userId, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a suspension (Admin only)
+   */
+  async reactivateUser(userId, adminId) {
+    try {
+      const existing = await this.getUserForAdmin(userId);
+
+      if (existing.status === 'ACTIVE') {
+        const error = new Error('User is already active');
+        error.status = 409;
+        throw error;
+      }
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: {
+          status: 'ACTIVE',
+          suspendedAt: null,
+          suspendedReason: null,
+        },
+        select: ADMIN_USER_SELECT,
+      });
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_REACTIVATED',
+        actorId: adminId,
+        details: { diff: auditService.diff(existing, { status: user.status }) },
+      });
+
+      logger.info('User Reactivated', { userId, adminId });
+
+      return user;
+    } catch (error) {
+      logger.error('Reactivate User Failed', { userId, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's role and supervisor flag (Admin only).
+   * Sessions are revoked because the role is carried in the access token.
+   */
+  async changeRole(userId, { role, isSupervisor }, adminId) {
+    try {
+      const existing = await this.getUserForAdmin(userId);
+      this.assertNotSelf(userId, adminId, 'change the role of');
+
+      if (existing.role === 'ADMIN' && role !== 'ADMIN') {
+        await this.assertAnotherActiveAdmin(userId);
+      }
+
+      // Supervisor rights only apply to bankers
+      const updates = {
+        role,
+        isSupervisor: role === 'BANKER' ? (isSupervisor ?? existing.isSupervisor) : false,
+      };
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: updates,
+        select: ADMIN_USER_SELECT,
+      });
+
+      const roleChanged = existing.role !== user.role;
+      const revokedSessions = roleChanged
+        ? await tokenService.revokeUserSessions(userId, 'ROLE_CHANGED')
+        : 0;
+
+      // A former banker's loans and KYC documents go back to the queue
+      const releasedClaims = existing.role === 'BANKER' && user.role !== 'BANKER'
+        ? await assignmentService.releaseAllForBanker(userId, adminId, 'BANKER_ROLE_REMOVED')
+        : null;
+
+      await auditService.record({
+        entityType: 'USER',
+        entityId: userId,
+        action: 'USER_ROLE_CHANGED',
+        actorId: adminId,
+        details: {
+          revokedSessions,
+          releasedClaims,
+          diff: auditService.diff(existing, updates),
+        },
+      });
+
+      logger.info('User Role Changed', {
+        userId,
+        adminId,
+        from: existing.role,
+        to: user.role,
+        isSupervisor: user.isSupervisor,
+        releasedClaims
+      });
+
+      return user;
+    } catch (error) {
+      logger.error('Change User Role Failed', { userId, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  assertNotSelf(userId, adminId, action) {
+    if (userId === adminId) {
+      const error = new Error(`You cannot ${action} your own account`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Keep at least one active admin so the system can't be locked out
+   */
+  async assertAnotherActiveAdmin(userId) {
+    const otherAdmins = await prisma.user.count({
+      where: { role: 'ADMIN', status: 'ACTIVE', id: { not: userId } },
+    });
+
+    if (otherAdmins === 0) {
+      const error = new Error('At least one active admin must remain');
+      error.status = 409;
       throw error;
     }
   }
@@ -0,0 +1,66 @@
+const { logger } = require('../middleware/logger');
+
+/**
+ * Internal domain events. Services publish after their database write has
+ * succeeded; subscribers (notifications, etc.) must never break the caller.
+ */
+const DOMAIN_EVENTS = {
+  LOAN_SUBMITTED: 'loan.submitted',
+  LOAN_PROXY_REQUESTED: 'loan.proxy_requested',
+  LOAN_REVIEW_STARTED: 'loan.review_started',
+  LOAN_APPROVED: 'loan.approved',
+  LOAN_REJECTED: 'loan.rejected',
+  LOAN_DISBURSED: 'loan.disbursed',
+  LOAN_CANCELLED: 'loan.cancelled',
+  LOAN_CLOSED: 'loan.closed',
+  KYC_SUBMITTED: 'kyc.submitted',
+  KYC_VERIFIED: 'kyc.verified',
+  KYC_REJECTED: 'kyc.rejected',
+  MERCHANT_LINK_REQUESTED: 'merchant_link.requested',
+};
+
+class DomainEventDispatcher {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for an event
+   */
+  subscribe(eventName, handler) {
+    if (!this.handlers.has(eventName)) {
+      this.handlers.set(eventName, []);
+    }
+    this.handlers.get(eventName).push(handler);
+  }
+
+  /**
+   * Run every handler for an event. Handler failures are logged, not thrown.
+   */
+  async publish(eventName, payload = {}) {
+    const handlers = this.handlers.get(eventName) || [];
+
+    const results = await Promise.allSettled(
+      handlers.map(handler => handler(payload, eventName))
+    );
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => {
+        logger.error('Domain Event Handler Failed', {
+          event: eventName,
+          error: result.reason?.message
+        });
+      });
+
+    logger.info('Domain Event Published', {
+      event: eventName,
+      handlers: handlers.length
+    });
+  }
+}
+
+module.exports = {
+  DOMAIN_EVENTS,
+  domainEvents: new DomainEventDispatcher(),
+};
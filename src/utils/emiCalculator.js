@@ -0,0 +1,79 @@
+/**
+ * Reducing-balance EMI calculations.
+ * All amounts are rounded to 2 decimals; the last installment absorbs
+ * rounding so the schedule always repays the exact principal.
+ */
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * EMI = P * r * (1 + r)^n / ((1 + r)^n - 1), r = monthly rate
+ */
+const calculateEmi = (principal, annualRatePercent, tenureMonths) => {
+  const monthlyRate = annualRatePercent / 12 / 100;
+
+  if (monthlyRate === 0) {
+    return round2(principal / tenureMonths);
+  }
+
+  const factor = Math.pow(1 + monthlyRate, tenureMonths);
+  return round2((principal * monthlyRate * factor) / (factor - 1));
+};
+
+/**
+ * Add calendar months, clamping to the last day of shorter months
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Build the full installment schedule with principal/interest split.
+ * First installment falls due one month after startDate.
+ */
+const generateSchedule = (principal, annualRatePercent, tenureMonths, startDate = new Date()) => {
+  const monthlyRate = annualRatePercent / 12 / 100;
+  const emi = calculateEmi(principal, annualRatePercent, tenureMonths);
+
+  const installments = [];
+  let balance = principal;
+
+  for (let number = 1; number <= tenureMonths; number++) {
+    const interest = round2(balance * monthlyRate);
+    const isLast = number === tenureMonths;
+    const principalPart = isLast ? round2(balance) : round2(emi - interest);
+    const closingBalance = isLast ? 0 : round2(balance - principalPart);
+
+    installments.push({
+      installmentNumber: number,
+      dueDate: addMonths(startDate, number),
+      openingBalance: round2(balance),
+      emiAmount: round2(principalPart + interest),
+      principalAmount: principalPart,
+      interestAmount: interest,
+      closingBalance,
+    });
+
+    balance = closingBalance;
+  }
+
+  const totalInterest = round2(installments.reduce((sum, item) => sum + item.interestAmount, 0));
+
+  return {
+    emi,
+    interestRate: annualRatePercent,
+    tenureMonths,
+    principal: round2(principal),
+    totalInterest,
+    totalPayable: round2(principal + totalInterest),
+    installments,
+  };
+};
+
+module.exports = { calculateEmi, generateSchedule, addMonths, round2 };
@@ -0,0 +1,25 @@
+/**
+ * Content type detection from a file's leading bytes, for the document
+ * formats KYC accepts. Providers that only know the uploader's declared
+ * type use this to verify what was actually stored.
+ */
+const SIGNATURES = [
+  { contentType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+];
+
+// Enough leading bytes to match every signature
+const SNIFF_BYTES = 16;
+
+/**
+ * Detected content type, or application/octet-stream when unrecognised
+ */
+const detectContentType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  );
+  return match ? match.contentType : 'application/octet-stream';
+};
+
+module.exports = { detectContentType, SNIFF_BYTES };
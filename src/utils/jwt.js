@@ -3,14 +3,15 @@ const { logger } = require('../middleware/logger');
 
 class JWTUtil {
   /**
-   * Generate access token
+   * Generate access token bound to a refresh-token session
    */
-  generateAccessToken(user) {
+  generateAccessToken(user, sessionId) {
     try {
       const payload = {
         userId: user.id,
         email: user.email,
         role: user.role,
+        sessionId,
         iat: Math.floor(Date.now() / 1000),
       };
 
@@ -21,6 +22,7 @@ class JWTUtil {
       logger.info('JWT Access Token Generated', { 
         userId: user.id, 
         role: user.role, 
+        sessionId,
         expiresIn: process.env.JWT_EXPIRES_IN 
       });
 
@@ -0,0 +1,89 @@
+/**
+ * Loan lifecycle transition table.
+ *
+ * PENDING -> UNDER_REVIEW -> APPROVED -> DISBURSED -> CLOSED
+ * Bankers can REJECT before approval; applicants can CANCEL before disbursement.
+ * Proxy applications start in AWAITING_CUSTOMER until the customer (the
+ * applicant) approves them; the originating merchant (ORIGINATOR) can withdraw
+ * them until then.
+ * SYSTEM closes a loan automatically once it is fully repaid.
+ * Each entry maps a target status to the actors allowed to perform it.
+ */
+const LOAN_TRANSITIONS = {
+  AWAITING_CUSTOMER: {
+    PENDING: ['APPLICANT'],
+    CANCELLED: ['APPLICANT', 'ORIGINATOR'],
+  },
+  PENDING: {
+    UNDER_REVIEW: ['BANKER'],
+    REJECTED: ['BANKER'],
+    CANCELLED: ['APPLICANT'],
+  },
+  UNDER_REVIEW: {
+    APPROVED: ['BANKER'],
+    REJECTED: ['BANKER'],
+    CANCELLED: ['APPLICANT'],
+  },
+  APPROVED: {
+    DISBURSED: ['BANKER'],
+    CANCELLED: ['APPLICANT'],
+  },
+  DISBURSED: {
+    CLOSED: ['BANKER', 'SYSTEM'],
+  },
+  REJECTED: {},
+  CANCELLED: {},
+  CLOSED: {},
+};
+
+// Audit action recorded for each target status
+const TRANSITION_ACTIONS = {
+  // A proxy application approved by the customer is submitted for review
+  PENDING: 'LOAN_SUBMITTED',
+  UNDER_REVIEW: 'LOAN_REVIEW_STARTED',
+  APPROVED: 'LOAN_APPROVED',
+  REJECTED: 'LOAN_REJECTED',
+  DISBURSED: 'LOAN_DISBURSED',
+  CANCELLED: 'LOAN_CANCELLED',
+  CLOSED: 'LOAN_CLOSED',
+};
+
+const TERMINAL_STATUSES = Object.keys(LOAN_TRANSITIONS)
+  .filter(status => Object.keys(LOAN_TRANSITIONS[status]).length === 0);
+
+/**
+ * Get the statuses reachable from the current one (optionally for an actor)
+ */
+const getAllowedTransitions = (from, actor = null) => {
+  const targets = LOAN_TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => !actor || targets[to].includes(actor));
+};
+
+/**
+ * Throw if a loan cannot move from `from` to `to` as `actor`.
+ * 409 for an illegal transition, 403 when the actor may not perform it.
+ */
+const assertTransition = (from, to, actor) => {
+  const targets = LOAN_TRANSITIONS[from] || {};
+
+  if (!targets[to]) {
+    const error = new Error(`Cannot transition loan from ${from} to ${to}`);
+    error.status = 409;
+    error.data = { currentStatus: from, allowedTransitions: Object.keys(targets) };
+    throw error;
+  }
+
+  if (!targets[to].includes(actor)) {
+    const error = new Error(`Only ${targets[to].join(' or ').toLowerCase()} can move a loan to ${to}`);
+    error.status = 403;
+    throw error;
+  }
+};
+
+module.exports = {
+  LOAN_TRANSITIONS,
+  TRANSITION_ACTIONS,
+  TERMINAL_STATUSES,
+  getAllowedTransitions,
+  assertTransition,
+};
@@ -0,0 +1,85 @@
+/**
+ * Keyset (cursor) pagination helpers for Prisma list queries.
+ *
+ * Results are ordered by the sort field and then by id, and the cursor
+ * encodes both values of the last item, so pages stay stable while rows
+ * are inserted. Cursors are opaque base64url JSON and only valid for the
+ * sort field they were issued under.
+ */
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const encodeCursor = (record, sortBy) => Buffer
+  .from(JSON.stringify({ s: sortBy, v: record[sortBy], id: record.id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sortBy) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded?.id || decoded.v === undefined) {
+      throw new Error('Malformed cursor');
+    }
+  } catch (error) {
+    const cursorError = new Error('Invalid pagination cursor');
+    cursorError.status = 400;
+    throw cursorError;
+  }
+
+  // The value would be compared against a column of another type
+  if (decoded.s !== sortBy) {
+    const sortError = new Error('Pagination cursor does not match the requested sort; start again from the first page');
+    sortError.status = 400;
+    throw sortError;
+  }
+
+  const { v, id } = decoded;
+  return { value: DATE_FIELDS.includes(sortBy) ? new Date(v) : v, id };
+};
+
+/**
+ * Build orderBy / where / take for a page.
+ * `where` is the caller's filter; the cursor condition is ANDed onto it.
+ */
+const buildCursorQuery = (where, { sortBy = 'createdAt', sortOrder = 'desc', cursor = null, limit = 20 }) => {
+  const orderBy = [{ [sortBy]: sortOrder }, { id: sortOrder }];
+  let pageWhere = where;
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortBy);
+    const op = sortOrder === 'desc' ? 'lt' : 'gt';
+    pageWhere = {
+      AND: [
+        where,
+        {
+          OR: [
+            { [sortBy]: { [op]: value } },
+            { [sortBy]: value, id: { [op]: id } },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Fetch one extra row to know whether another page exists
+  return { where: pageWhere, orderBy, take: limit + 1 };
+};
+
+/**
+ * Trim the extra row and build page info
+ */
+const buildPage = (records, { sortBy = 'createdAt', limit = 20 }) => {
+  const hasMore = records.length > limit;
+  const items = hasMore ? records.slice(0, limit) : records;
+
+  return {
+    items,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortBy) : null,
+    },
+  };
+};
+
+module.exports = { buildCursorQuery, buildPage, encodeCursor, decodeCursor };
@@ -0,0 +1,86 @@
+const { round2 } = require('./emiCalculator');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const interestDue = (installment) => round2(installment.interestAmount - installment.paidInterest);
+const principalDue = (installment) => round2(installment.principalAmount - installment.paidPrincipal);
+const amountDue = (installment) => round2(interestDue(installment) + principalDue(installment));
+
+/**
+ * Split a payment across installments: oldest unpaid installment first,
+ * and within an installment interest before principal.
+ * Returns the per-installment allocation and updated installment values.
+ */
+const allocatePayment = (installments, amount) => {
+  let remaining = round2(amount);
+  const allocation = [];
+
+  const ordered = [...installments].sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+  for (const installment of ordered) {
+    if (remaining <= 0) break;
+    if (amountDue(installment) <= 0) continue;
+
+    const interest = Math.min(remaining, interestDue(installment));
+    remaining = round2(remaining - interest);
+
+    const principal = Math.min(remaining, principalDue(installment));
+    remaining = round2(remaining - principal);
+
+    const paidInterest = round2(installment.paidInterest + interest);
+    const paidPrincipal = round2(installment.paidPrincipal + principal);
+    const fullyPaid = paidInterest >= installment.interestAmount && paidPrincipal >= installment.principalAmount;
+
+    allocation.push({
+      installmentId: installment.id,
+      installmentNumber: installment.installmentNumber,
+      interest: round2(interest),
+      principal: round2(principal),
+      paidInterest,
+      paidPrincipal,
+      status: fullyPaid ? 'PAID' : 'PARTIALLY_PAID',
+    });
+  }
+
+  return {
+    allocation,
+    interestPaid: round2(allocation.reduce((sum, item) => sum + item.interest, 0)),
+    principalPaid: round2(allocation.reduce((sum, item) => sum + item.principal, 0)),
+    unallocated: remaining,
+  };
+};
+
+/**
+ * Outstanding principal, overdue amount and days past due as of a date
+ */
+const summarizeBalance = (installments, asOf = new Date()) => {
+  const outstandingPrincipal = round2(installments.reduce((sum, item) => sum + principalDue(item), 0));
+  const outstandingInterest = round2(installments.reduce((sum, item) => sum + interestDue(item), 0));
+
+  const overdueInstallments = installments
+    .filter(item => new Date(item.dueDate) < asOf && amountDue(item) > 0)
+    .sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+  const overdueAmount = round2(overdueInstallments.reduce((sum, item) => sum + amountDue(item), 0));
+  const daysPastDue = overdueInstallments.length > 0
+    ? Math.floor((asOf - new Date(overdueInstallments[0].dueDate)) / DAY_MS)
+    : 0;
+
+  const nextDue = installments
+    .filter(item => amountDue(item) > 0)
+    .sort((a, b) => a.installmentNumber - b.installmentNumber)[0] || null;
+
+  return {
+    outstandingPrincipal,
+    outstandingInterest,
+    totalOutstanding: round2(outstandingPrincipal + outstandingInterest),
+    overdueAmount,
+    overdueInstallments: overdueInstallments.length,
+    daysPastDue,
+    nextDueDate: nextDue ? nextDue.dueDate : null,
+    nextDueAmount: nextDue ? amountDue(nextDue) : 0,
+    isFullyPaid: outstandingPrincipal <= 0 && outstandingInterest <= 0,
+  };
+};
+
+module.exports = { allocatePayment, summarizeBalance, amountDue };
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * AWS Signature Version 4 query-string presigning for S3-compatible stores
+ * (AWS S3, MinIO, ...). Only the host header is signed and the payload is
+ * UNSIGNED-PAYLOAD, so the URL can be handed to a client as-is.
+ */
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// RFC 3986 encoding, as SigV4 requires (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Build the bucket/key URL: path-style when an endpoint is configured
+ * (MinIO and most S3-compatible services), virtual-hosted AWS otherwise.
+ */
+const objectUrl = ({ endpoint, region, bucket }, key) => {
+  if (endpoint) {
+    return new URL(`${endpoint.replace(/\/+$/, '')}/${encodeRfc3986(bucket)}/${encodeKey(key)}`);
+  }
+  return new URL(`https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`);
+};
+
+/**
+ * Presign a request for an object.
+ * config: { endpoint?, region, bucket, accessKeyId, secretAccessKey }
+ * Returns the URL string, valid for expiresInSeconds (max 7 days).
+ */
+const presign = (config, { method, key, expiresInSeconds, now = new Date() }) => {
+  const url = objectUrl(config, key);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(Math.min(expiresInSeconds, 7 * 24 * 60 * 60)),
+    'X-Amz-SignedHeaders': 'host',
+  };
+
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    `host:${url.host}\n`,
+    'host',
+    'UNSIGNED-PAYLOAD',
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+module.exports = { presign, objectUrl };
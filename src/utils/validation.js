@@ -34,11 +34,12 @@ const validationSchemas = {
         'string.min': 'Password must be at least 8 characters long',
         'any.required': 'Password is required',
       }),
+    // Staff accounts are provisioned through /api/v1/admin/users
     role: Joi.string()
-      .valid('CUSTOMER', 'MERCHANT', 'BANKER')
+      .valid('CUSTOMER', 'MERCHANT')
       .required()
       .messages({
-        'any.only': 'Role must be one of: CUSTOMER, MERCHANT, BANKER',
+        'any.only': 'Role must be one of: CUSTOMER, MERCHANT',
         'any.required': 'Role is required',
       }),
   }),
@@ -60,30 +61,152 @@ const validationSchemas = {
       }),
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Refresh token is required',
+      }),
+  }),
+
+  otpSend: Joi.object({
+    channel: Joi.string()
+      .valid('EMAIL', 'PHONE')
+      .required()
+      .messages({
+        'any.only': 'Channel must be EMAIL or PHONE',
+        'any.required': 'Channel is required',
+      }),
+  }),
+
+  otpVerify: Joi.object({
+    channel: Joi.string()
+      .valid('EMAIL', 'PHONE')
+      .required()
+      .messages({
+        'any.only': 'Channel must be EMAIL or PHONE',
+        'any.required': 'Channel is required',
+      }),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits',
+        'any.required': 'Verification code is required',
+      }),
+  }),
+
+  loginTwoFactor: Joi.object({
+    challengeToken: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required',
+      }),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Authentication code must be 6 digits',
+      }),
+    backupCode: Joi.string()
+      .trim()
+      .max(20),
+  })
+    .xor('code', 'backupCode')
+    .messages({
+      'object.missing': 'Provide an authentication code or a backup code',
+      'object.xor': 'Provide either an authentication code or a backup code, not both',
+    }),
+
+  loginTwoFactorSetup: Joi.object({
+    challengeToken: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required',
+      }),
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Authentication code must be 6 digits',
+        'any.required': 'Authentication code is required',
+      }),
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required',
+      }),
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required',
+      }),
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'any.required': 'Reset token is required',
+      }),
+    newPassword: Joi.string()
+      .min(8)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'any.required': 'New password is required',
+      }),
+  }),
+
   // Loan schemas
   loanApply: Joi.object({
+    // Product code; amount and tenure limits are checked against the product
     type: Joi.string()
-      .valid('PERSONAL', 'BUSINESS', 'VEHICLE', 'EQUIPMENT')
+      .trim()
+      .uppercase()
+      .pattern(/^[A-Z0-9_]{2,50}$/)
       .required()
       .messages({
-        'any.only': 'Loan type must be one of: PERSONAL, BUSINESS, VEHICLE, EQUIPMENT',
+        'string.pattern.base': 'Loan type must be a valid loan product code',
         'any.required': 'Loan type is required',
       }),
     amount: Joi.number()
-      .min(1000)
-      .max(5000000)
+      .positive()
       .required()
       .messages({
-        'number.min': 'Loan amount must be at least ₹1,000',
-        'number.max': 'Loan amount cannot exceed ₹50,00,000',
+        'number.positive': 'Loan amount must be greater than 0',
         'any.required': 'Loan amount is required',
       }),
-    merchantId: Joi.string()
+    tenureMonths: Joi.number()
+      .integer()
+      .min(1)
+      .max(360)
+      .optional()
+      .messages({
+        'number.integer': 'Tenure must be a whole number of months',
+        'number.min': 'Tenure must be at least 1 month',
+        'number.max': 'Tenure cannot exceed 360 months',
+      }),
+    // Merchants only: the linked customer this application is made for
+    customerId: Joi.string()
       .uuid()
       .optional()
       .allow(null)
       .messages({
-        'string.uuid': 'Invalid merchant ID format',
+        'string.uuid': 'Invalid customer ID format',
       }),
     purpose: Joi.string()
       .max(500)
@@ -91,7 +214,9 @@ const validationSchemas = {
       .messages({
         'string.max': 'Purpose must be less than 500 characters',
       }),
-  }),
+  })
+    // Proxy applications used to send the customer ID as merchantId
+    .rename('merchantId', 'customerId', { ignoreUndefined: true }),
 
   loanStatus: Joi.object({
     status: Joi.string()
@@ -109,6 +234,223 @@ const validationSchemas = {
       }),
   }),
 
+  loanQuote: Joi.object({
+    // Product code; amount and tenure limits are checked against the product
+    type: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^[A-Z0-9_]{2,50}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Loan type must be a valid loan product code',
+        'any.required': 'Loan type is required',
+      }),
+    amount: Joi.number()
+      .positive()
+      .required()
+      .messages({
+        'number.positive': 'Loan amount must be greater than 0',
+        'any.required': 'Loan amount is required',
+      }),
+    tenureMonths: Joi.number()
+      .integer()
+      .min(1)
+      .max(360)
+      .optional()
+      .messages({
+        'number.integer': 'Tenure must be a whole number of months',
+        'number.min': 'Tenure must be at least 1 month',
+        'number.max': 'Tenure cannot exceed 360 months',
+      }),
+  }),
+
+  repayment: Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.positive': 'Payment amount must be greater than 0',
+        'any.required': 'Payment amount is required',
+      }),
+    method: Joi.string()
+      .valid('UPI', 'NEFT', 'IMPS', 'RTGS', 'CASH', 'CHEQUE', 'OTHER')
+      .optional()
+      .messages({
+        'any.only': 'Payment method must be one of: UPI, NEFT, IMPS, RTGS, CASH, CHEQUE, OTHER',
+      }),
+    reference: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .messages({
+        'string.max': 'Payment reference must be less than 100 characters',
+      }),
+    paidAt: Joi.date()
+      .iso()
+      .max('now')
+      .optional()
+      .messages({
+        'date.max': 'Payment date cannot be in the future',
+      }),
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Notes must be less than 1000 characters',
+      }),
+  }),
+
+  loanListQuery: Joi.object({
+    status: Joi.string()
+      .valid('AWAITING_CUSTOMER', 'PENDING', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'DISBURSED', 'CANCELLED', 'CLOSED')
+      .optional()
+      .messages({
+        'any.only': 'Invalid loan status filter',
+      }),
+    type: Joi.string()
+      .trim()
+      .uppercase()
+      .optional(),
+    minAmount: Joi.number()
+      .min(0)
+      .optional(),
+    maxAmount: Joi.number()
+      .when('minAmount', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minAmount')) })
+      .optional()
+      .messages({
+        'number.min': 'Maximum amount must be greater than minimum amount',
+      }),
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'Start date must be an ISO 8601 date',
+      }),
+    endDate: Joi.date()
+      .iso()
+      .when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) })
+      .optional()
+      .messages({
+        'date.format': 'End date must be an ISO 8601 date',
+        'date.min': 'End date must be after start date',
+      }),
+    search: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Search must be at least 2 characters',
+      }),
+    sortBy: Joi.string()
+      .valid('createdAt', 'updatedAt', 'amount')
+      .default('createdAt')
+      .messages({
+        'any.only': 'Sort must be one of: createdAt, updatedAt, amount',
+      }),
+    sortOrder: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc'),
+    cursor: Joi.string()
+      .max(500)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+  }),
+
+  loanAction: Joi.object({
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Notes must be less than 1000 characters',
+      }),
+  }),
+
+  // Loan product schemas
+  loanProductCreate: Joi.object({
+    code: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^[A-Z0-9_]{2,50}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Product code must be 2-50 characters of A-Z, 0-9 or _',
+        'any.required': 'Product code is required',
+      }),
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Product name is required',
+      }),
+    description: Joi.string()
+      .max(1000)
+      .allow('', null)
+      .optional(),
+    minAmount: Joi.number()
+      .positive()
+      .required()
+      .messages({
+        'any.required': 'Minimum amount is required',
+      }),
+    maxAmount: Joi.number()
+      .positive()
+      .required()
+      .messages({
+        'any.required': 'Maximum amount is required',
+      }),
+    minTenureMonths: Joi.number()
+      .integer()
+      .min(1)
+      .max(360)
+      .required(),
+    maxTenureMonths: Joi.number()
+      .integer()
+      .min(1)
+      .max(360)
+      .required(),
+    defaultTenureMonths: Joi.number()
+      .integer()
+      .min(1)
+      .max(360)
+      .required(),
+    interestRate: Joi.number()
+      .min(0)
+      .max(100)
+      .required()
+      .messages({
+        'number.max': 'Interest rate is an annual percentage (0-100)',
+        'any.required': 'Interest rate is required',
+      }),
+    eligibleRoles: Joi.array()
+      .items(Joi.string().valid('CUSTOMER', 'MERCHANT'))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': 'Eligible roles must be CUSTOMER and/or MERCHANT',
+        'any.required': 'Eligible roles are required',
+      }),
+    requiredDocuments: Joi.array()
+      .items(Joi.string().valid('ID_PROOF', 'ADDRESS_PROOF', 'PAN_CARD', 'BANK_STATEMENT'))
+      .unique()
+      .default([])
+      .messages({
+        'any.only': 'Document type must be one of: ID_PROOF, ADDRESS_PROOF, PAN_CARD, BANK_STATEMENT',
+      }),
+    isActive: Joi.boolean()
+      .default(true),
+  }),
+
   // KYC schemas
   kycUploadUrl: Joi.object({
     docType: Joi.string()
@@ -151,6 +493,54 @@ const validationSchemas = {
       }),
   }),
 
+  kycPendingQuery: Joi.object({
+    docType: Joi.string()
+      .valid('ID_PROOF', 'ADDRESS_PROOF', 'PAN_CARD', 'BANK_STATEMENT')
+      .optional()
+      .messages({
+        'any.only': 'Document type must be one of: ID_PROOF, ADDRESS_PROOF, PAN_CARD, BANK_STATEMENT',
+      }),
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'Start date must be an ISO 8601 date',
+      }),
+    endDate: Joi.date()
+      .iso()
+      .when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) })
+      .optional()
+      .messages({
+        'date.format': 'End date must be an ISO 8601 date',
+        'date.min': 'End date must be after start date',
+      }),
+    search: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Search must be at least 2 characters',
+      }),
+    sortBy: Joi.string()
+      .valid('createdAt', 'updatedAt')
+      .default('createdAt')
+      .messages({
+        'any.only': 'Sort must be one of: createdAt, updatedAt',
+      }),
+    sortOrder: Joi.string()
+      .valid('asc', 'desc')
+      .default('asc'),
+    cursor: Joi.string()
+      .max(500)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+  }),
+
   kycVerify: Joi.object({
     status: Joi.string()
       .valid('VERIFIED', 'REJECTED')
@@ -159,6 +549,19 @@ const validationSchemas = {
         'any.only': 'Status must be VERIFIED or REJECTED',
         'any.required': 'Status is required',
       }),
+    // Shown to the user; required when rejecting
+    reasonCode: Joi.string()
+      .valid('ILLEGIBLE', 'EXPIRED', 'NAME_MISMATCH', 'INCOMPLETE', 'WRONG_DOCUMENT', 'SUSPECTED_TAMPERING', 'OTHER')
+      .when('status', {
+        is: 'REJECTED',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      })
+      .messages({
+        'any.only': 'Reason code must be one of: ILLEGIBLE, EXPIRED, NAME_MISMATCH, INCOMPLETE, WRONG_DOCUMENT, SUSPECTED_TAMPERING, OTHER',
+        'any.required': 'Reason code is required when rejecting a document',
+        'any.unknown': 'Reason code is only allowed when rejecting a document',
+      }),
     notes: Joi.string()
       .max(1000)
       .allow('')
@@ -167,8 +570,263 @@ const validationSchemas = {
         'string.max': 'Notes must be less than 1000 characters',
       }),
   }),
+
+  // Notification schemas
+  notificationQuery: Joi.object({
+    status: Joi.string()
+      .valid('unread', 'read')
+      .optional()
+      .messages({
+        'any.only': 'Status must be unread or read',
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .default(0),
+  }),
+
+  notificationPreferences: Joi.object({
+    email: Joi.boolean().optional(),
+    sms: Joi.boolean().optional(),
+    push: Joi.boolean().optional(),
+    pushToken: Joi.string()
+      .max(512)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.max': 'Push token must be less than 512 characters',
+      }),
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one preference must be provided',
+    }),
+
+  // Audit schemas
+  auditQuery: Joi.object({
+    entityType: Joi.string()
+      .valid('LOAN', 'KYC_DOCUMENT', 'USER', 'LOAN_PRODUCT', 'MERCHANT_CUSTOMER')
+      .optional()
+      .messages({
+        'any.only': 'Entity type must be one of: LOAN, KYC_DOCUMENT, USER, LOAN_PRODUCT, MERCHANT_CUSTOMER',
+      }),
+    entityId: Joi.string()
+      .uuid()
+      .optional()
+      .messages({
+        'string.uuid': 'Invalid entity ID format',
+      }),
+    actorId: Joi.string()
+      .uuid()
+      .optional()
+      .messages({
+        'string.uuid': 'Invalid actor ID format',
+      }),
+    action: Joi.string()
+      .max(100)
+      .optional(),
+    startDate: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'Start date must be an ISO 8601 date',
+      }),
+    endDate: Joi.date()
+      .iso()
+      .when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) })
+      .optional()
+      .messages({
+        'date.format': 'End date must be an ISO 8601 date',
+        'date.min': 'End date must be after start date',
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .default(50),
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .default(0),
+  }),
+
+  // Review queue schemas
+  reviewQueueQuery: Joi.object({
+    scope: Joi.string()
+      .valid('mine', 'unassigned')
+      .default('mine')
+      .messages({
+        'any.only': 'Scope must be one of: mine, unassigned',
+      }),
+  }),
+
+  reviewAssign: Joi.object({
+    bankerId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Invalid banker ID format',
+        'any.required': 'Banker ID is required',
+      }),
+  }),
+
+  // Merchant-customer link schemas
+  merchantLinkRequest: Joi.object({
+    customerEmail: Joi.string()
+      .email({ tlds: { allow: false } })
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid customer email address',
+        'any.required': 'Customer email is required',
+      }),
+  }),
+
+  merchantLinkQuery: Joi.object({
+    status: Joi.string()
+      .valid('PENDING', 'ACTIVE', 'DECLINED', 'REVOKED')
+      .optional()
+      .messages({
+        'any.only': 'Status must be one of: PENDING, ACTIVE, DECLINED, REVOKED',
+      }),
+  }),
+
+  // Profile schemas
+  profileUpdate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name must be less than 100 characters',
+      }),
+    phone: Joi.string()
+      .pattern(/^[6-9]\d{9}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Please enter a valid 10-digit phone number (starting with 6-9)',
+      }),
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Provide a name or phone number to update',
+    }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Current password is required',
+      }),
+    newPassword: Joi.string()
+      .min(8)
+      .invalid(Joi.ref('currentPassword'))
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'any.invalid': 'New password must be different from the current password',
+        'any.required': 'New password is required',
+      }),
+  }),
+
+  // Admin schemas
+  adminUserQuery: Joi.object({
+    role: Joi.string()
+      .valid('CUSTOMER', 'MERCHANT', 'BANKER', 'ADMIN')
+      .optional()
+      .messages({
+        'any.only': 'Role must be one of: CUSTOMER, MERCHANT, BANKER, ADMIN',
+      }),
+    status: Joi.string()
+      .valid('ACTIVE', 'SUSPENDED')
+      .optional()
+      .messages({
+        'any.only': 'Status must be ACTIVE or SUSPENDED',
+      }),
+    search: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Search must be at least 2 characters',
+      }),
+    sortBy: Joi.string()
+      .valid('createdAt', 'name', 'email')
+      .default('createdAt')
+      .messages({
+        'any.only': 'Sort must be one of: createdAt, name, email',
+      }),
+    sortOrder: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc'),
+    cursor: Joi.string()
+      .max(500)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+  }),
+
+  adminSuspend: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .optional()
+      .messages({
+        'string.max': 'Reason must be less than 500 characters',
+      }),
+  }),
+
+  adminRoleChange: Joi.object({
+    role: Joi.string()
+      .valid('CUSTOMER', 'MERCHANT', 'BANKER', 'ADMIN')
+      .required()
+      .messages({
+        'any.only': 'Role must be one of: CUSTOMER, MERCHANT, BANKER, ADMIN',
+        'any.required': 'Role is required',
+      }),
+    isSupervisor: Joi.boolean()
+      .optional(),
+  }),
 };
 
+// Admins can create accounts of any role
+validationSchemas.adminUserCreate = validationSchemas.signup.keys({
+  role: Joi.string()
+    .valid('CUSTOMER', 'MERCHANT', 'BANKER', 'ADMIN')
+    .required()
+    .messages({
+      'any.only': 'Role must be one of: CUSTOMER, MERCHANT, BANKER, ADMIN',
+      'any.required': 'Role is required',
+    }),
+});
+
+// Same fields as create, all optional (code is immutable)
+validationSchemas.loanProductUpdate = validationSchemas.loanProductCreate
+  .fork(['name', 'minAmount', 'maxAmount', 'minTenureMonths', 'maxTenureMonths',
+    'defaultTenureMonths', 'interestRate', 'eligibleRoles'], (schema) => schema.optional())
+  .keys({
+    code: Joi.forbidden().messages({ 'any.unknown': 'Product code cannot be changed' }),
+    requiredDocuments: Joi.array()
+      .items(Joi.string().valid('ID_PROOF', 'ADDRESS_PROOF', 'PAN_CARD', 'BANK_STATEMENT'))
+      .unique()
+      .optional(),
+    isActive: Joi.boolean().optional(),
+  })
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided',
+  });
+
 const validate = (schema, data) => {
   try {
     const { error, value } = schema.validate(data, { 